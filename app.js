@@ -9,43 +9,174 @@ import Parser from 'rss-parser';
 import axios from 'axios';
 import Database from 'better-sqlite3';
 import { GoogleApis } from 'googleapis';
-import OpenAI from 'openai';
 import cron from 'node-cron';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import sharp from 'sharp';
+import { log, sleep, escapeHtml, slugify } from './lib/util.js';
+import { loadFeeds, collectFeedItems } from './lib/feeds.js';
+import { extractArticle } from './lib/extractors/index.js';
+import { previewDirFor, writePreview } from './lib/preview.js';
+import { addColumnIfMissing, hasColumn, rebuildTable } from './lib/db.js';
+import { createReviewQueue, runReviewCommand } from './lib/review.js';
+import { loadLLMConfig, createLLM } from './lib/llm/index.js';
+import { generateArticle } from './lib/generate.js';
+import { loadLanguages, wrapForLanguage } from './lib/languages.js';
+import { loadPromptTemplate } from './lib/prompts.js';
+import { createJobStore, runJobsCommand, stageIndex } from './lib/jobs.js';
+import { createDedupIndex, fingerprint } from './lib/dedup.js';
+import { detectWatermark, removeWatermark, writeDetectionDebug } from './lib/watermark.js';
+import { loadBrandingPresets, applyBranding, FORMAT_EXTENSIONS } from './lib/branding.js';
+import { loadStorageConfig, createImageStore } from './lib/storage/index.js';
+import { loadTargetsConfig, createPublisher } from './lib/publishers/index.js';
+import { loadScheduleConfig, createScheduler, runScheduleCommand } from './lib/schedule.js';
+import { createRunLog, newRunStats } from './lib/runs.js';
+import { createBlacklist } from './lib/blacklist.js';
+import { loadPrices, loadBudgetConfig, createUsageLedger, runUsageCommand } from './lib/usage.js';
+import { loadFilterRules, createItemFilter } from './lib/filters.js';
+import { createSkipLog, runSkipsCommand } from './lib/skips.js';
+import { startAdminServer } from './lib/admin/index.js';
+import { checkArticle } from './lib/factcheck.js';
+import { htmlToText, toIsoDate } from './lib/extractors/common.js';
+import { findRelatedPosts, insertContextualLinks, relatedPostsHtml } from './lib/links.js';
+import { sourceHash, runSyncCommand, runUpdateCommand, runCleanupCommand } from './lib/sync.js';
+import { createSpecCache, lookupDevices, specFacts, keySpecsHtml, specTableHtml } from './lib/specs.js';
+import { SEO_PARTS, seoOptions, newsArticleJsonLd, setArticleDates, faqJsonLd, faqHtml, attributionHtml } from './lib/seo.js';
+import {
+  perceptualHash, isNearDuplicate, pickArticleImages, insertImages, MIN_DIMENSION, renderVariants, cropTo, srcsetAttr
+} from './lib/images.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// `node app.js` runs the bot; `node app.js <command> ...` runs a CLI command
+const { values: FLAGS, positionals: [COMMAND, ...COMMAND_ARGS] } = parseArgs({
+  args: process.argv.slice(2),
+  allowPositionals: true,
+  strict: false,
+  options: {
+    'dry-run': { type: 'boolean' },
+    all: { type: 'boolean' },
+    title: { type: 'string' },
+    labels: { type: 'string' },
+    note: { type: 'string' },
+    guid: { type: 'string' },
+    label: { type: 'string' },
+    rule: { type: 'string' },
+    lang: { type: 'string' },
+    before: { type: 'string' },
+    days: { type: 'string' },
+    changed: { type: 'boolean' },
+    delete: { type: 'boolean' }
+  }
+});
+
 const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 const REFRESH_TOKEN = process.env.REFRESH_TOKEN;
 const BLOG_ID = process.env.BLOG_ID;
 
 const GSMARENA_RSS = process.env.GSMARENA_RSS;
+const FEEDS_CONFIG = process.env.FEEDS_CONFIG || './feeds.json';
+// Keyword, brand, age and length rules (and the relevance classifier) items must pass
+const FILTERS_CONFIG = process.env.FILTERS_CONFIG || './filters.json';
 const POST_INTERVAL_CRON = process.env.POST_INTERVAL_CRON || '0 */3 * * *';
 const MAX_ITEMS_PER_RUN = parseInt(process.env.MAX_ITEMS_PER_RUN || '1', 10);
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+// Providers/keys for every generation call; falls back to OPENAI_API_KEY(S) when missing
+const LLM_CONFIG = process.env.LLM_CONFIG || './llm.json';
+// Target languages, each with its own BLOG_ID; English to BLOG_ID when missing
+const LANGUAGES_CONFIG = process.env.LANGUAGES_CONFIG || './languages.json';
+// Where posts are published and which feeds/labels go where; Blogger only when missing
+const TARGETS_CONFIG = process.env.TARGETS_CONFIG || './targets.json';
+// Model prices (USD per 1M tokens) on top of the built-in ones, for spend and budgets
+const PRICES_CONFIG = process.env.PRICES_CONFIG || './prices.json';
+// Rewrite prompt template; feeds and languages may name their own with `prompt`
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+const PROMPT_TEMPLATE = process.env.PROMPT_TEMPLATE || 'article.md';
+const SITE_NAME = process.env.SITE_NAME || 'a professional tech blog';
+const WORD_TARGET = parseInt(process.env.WORD_TARGET || '1200', 10);
+// Malformed structured replies are retried this many times before the item fails
+const GENERATION_ATTEMPTS = parseInt(process.env.GENERATION_ATTEMPTS || '3', 10);
 const DB_PATH = process.env.DB_PATH || './data/posts.db';
 const MODE = (process.env.MODE || 'cron').toLowerCase();
+// Preview runs the whole pipeline but writes to PREVIEW_DIR instead of Blogger
+const DRY_RUN = MODE === 'preview' || !!FLAGS['dry-run'];
+// review = hold new posts in the local review queue until an editor approves them
+const PUBLISH_MODE = (process.env.PUBLISH_MODE || 'live').toLowerCase();
+const PREVIEW_DIR = process.env.PREVIEW_DIR || './preview';
+// SEO parts added to every post unless a feed turns them off with `seo`
+const SEO_PARTS_ENABLED = (process.env.SEO_PARTS || SEO_PARTS.join(',')).split(',').map(p => p.trim());
+const PUBLISHER_NAME = process.env.PUBLISHER_NAME || process.env.SITE_NAME || '';
+const PUBLISHER_LOGO_URL = process.env.PUBLISHER_LOGO_URL || '';
+// Device spec sheets from GSMArena, for the post and as facts for the rewrite
+const DEVICE_SPECS = (process.env.DEVICE_SPECS || 'on').toLowerCase() !== 'off';
+const MAX_SPEC_DEVICES = parseInt(process.env.MAX_SPEC_DEVICES || '2', 10);
+// What a rewrite that fails the fact check gets: `regenerate` (then held for
+// review if it still fails), `review` (held), `publish` (logged only) or `off`
+const FACT_CHECK_POLICY = process.env.FACT_CHECK_POLICY || 'regenerate';
+const FACT_CHECK_ATTEMPTS = parseInt(process.env.FACT_CHECK_ATTEMPTS || '2', 10);
+const FACT_CHECK_TOLERANCE = parseInt(process.env.FACT_CHECK_TOLERANCE || '0', 10);
+const FACT_CHECK_MIN_WORDS = parseInt(process.env.FACT_CHECK_MIN_WORDS || '300', 10);
+// Internal links: most contextual links in the text and posts in the "Related posts" block
+const INTERNAL_LINKS = parseInt(process.env.INTERNAL_LINKS || '3', 10);
+const RELATED_POSTS = parseInt(process.env.RELATED_POSTS || '4', 10);
+// Near-duplicate stories: skip them, post them as an update linking the earlier post, or off
+const DEDUP_MODE = (process.env.DEDUP_MODE || 'skip').toLowerCase();
+// Admin dashboard and JSON API, off unless a port is set (cron mode and `node app.js admin`)
+const ADMIN_PORT = parseInt(process.env.ADMIN_PORT || '0', 10);
+const ADMIN_HOST = process.env.ADMIN_HOST || '127.0.0.1';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
 const USER_AGENT = process.env.USER_AGENT || 'GSM2Blogger/1.0';
 const CUSTOM_LOGO_PATH = process.env.CUSTOM_LOGO_PATH || './assets/logo.png';
+// Named branding presets (logo placement, text strip, frame, format); feeds pick one with `branding`
+const BRANDING_CONFIG = process.env.BRANDING_CONFIG || './branding.json';
+const BRANDING_PRESET = process.env.BRANDING_PRESET || 'default';
 const MAX_IMAGE_WIDTH = process.env.MAX_IMAGE_WIDTH || '800';
+// Processed images are scaled down to this width before upload
+const IMAGE_RESIZE_WIDTH = parseInt(process.env.IMAGE_RESIZE_WIDTH || '1600', 10);
+// Article images besides the lead one: re-hosted and placed `inline`, as a `gallery`, or `off`
+const INLINE_IMAGES = (process.env.INLINE_IMAGES || 'gallery').toLowerCase();
+const MAX_INLINE_IMAGES = parseInt(process.env.MAX_INLINE_IMAGES || '6', 10);
+// Lead image renditions: srcset widths, the social card (the lead image's `src`,
+// which Blogger uses for the feed thumbnail and og:image) and a square thumbnail
+const IMAGE_VARIANT_WIDTHS = (process.env.IMAGE_VARIANT_WIDTHS || '480,800,1200')
+  .split(',').map(w => parseInt(w, 10)).filter(w => w > 0);
+const [CARD_WIDTH, CARD_HEIGHT] = (process.env.SOCIAL_CARD_SIZE || '1200x630').split('x').map(n => parseInt(n, 10));
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE || '400', 10);
+// Reference image of the source watermark, located by template matching and painted out
+const SOURCE_LOGO_PATH = process.env.SOURCE_LOGO_PATH || './assets/source-logo.png';
+const WATERMARK_CONFIDENCE = parseFloat(process.env.WATERMARK_CONFIDENCE || '0.6');
+const WATERMARK_FILL = (process.env.WATERMARK_FILL || 'inpaint').toLowerCase();
+const WATERMARK_DEBUG_DIR = process.env.WATERMARK_DEBUG_DIR || '';
 
-if (!OPENAI_API_KEY) {
-  console.error('ERROR: OPENAI_API_KEY not set in .env');
+const llm = createLLM(loadLLMConfig(LLM_CONFIG));
+const BUDGET = loadBudgetConfig(process.env);
+const BRANDING = loadBrandingPresets(BRANDING_CONFIG, { logo: CUSTOM_LOGO_PATH });
+const LANGUAGES = loadLanguages(LANGUAGES_CONFIG, { blogId: BLOG_ID });
+const TARGETS = loadTargetsConfig(TARGETS_CONFIG);
+// Blogger credentials are only needed when a target or the image storage is Blogger
+const USES_BLOGGER = Object.values(TARGETS.targets).some(t => t.type === 'blogger')
+  || (process.env.IMAGE_STORAGE || 'blogger').toLowerCase() === 'blogger';
+
+// `admin` serves the dashboard, whose "Run now" runs the whole pipeline
+const RUNS_PIPELINE = !COMMAND || COMMAND === 'admin';
+
+if (!llm.hasProviders() && RUNS_PIPELINE) {
+  console.error('ERROR: No LLM keys configured. Set OPENAI_API_KEY in .env or add providers to LLM_CONFIG');
   process.exit(1);
 }
-if (!CLIENT_ID || !CLIENT_SECRET || !REFRESH_TOKEN || !BLOG_ID) {
+if (BUDGET.action === 'fallback' && !llm.hasFallback() && RUNS_PIPELINE) {
+  console.error('ERROR: BUDGET_ACTION=fallback needs BUDGET_FALLBACK_MODEL or a provider with a fallbackModel');
+  process.exit(1);
+}
+if (!DRY_RUN && RUNS_PIPELINE && USES_BLOGGER && (!CLIENT_ID || !CLIENT_SECRET || !REFRESH_TOKEN || LANGUAGES.some(l => !l.blogId))) {
   console.error('ERROR: Blogger OAuth config missing');
   process.exit(1);
 }
 
 const parser = new Parser();
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
 
 const google = new GoogleApis();
 const oauth2Client = new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET);
@@ -58,29 +189,116 @@ if (!fs.existsSync(dbDir)) fs.mkdirSync(dbDir, { recursive: true });
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 
-db.prepare(`
+// One row per source item and language. `status` is pending / published /
+// scheduled / rejected / failed, set by the review queue.
+const POSTED_TABLE_SQL = `
   CREATE TABLE IF NOT EXISTS posted (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    guid TEXT UNIQUE,
-    link TEXT UNIQUE,
+    guid TEXT,
+    link TEXT,
+    lang TEXT NOT NULL DEFAULT 'en',
     title TEXT,
     published_at TEXT,
-    posted_at TEXT DEFAULT (datetime('now'))
+    posted_at TEXT DEFAULT (datetime('now')),
+    status TEXT DEFAULT 'published',
+    reviewed_at TEXT,
+    prompt_version TEXT,
+    blogger_post_id TEXT,
+    blogger_url TEXT,
+    post_title TEXT,
+    labels TEXT,
+    source_hash TEXT,
+    UNIQUE (guid, lang),
+    UNIQUE (link, lang)
   )
-`).run();
+`;
+db.prepare(POSTED_TABLE_SQL).run();
+addColumnIfMissing(db, 'posted', 'status', "TEXT DEFAULT 'published'");
+addColumnIfMissing(db, 'posted', 'reviewed_at', 'TEXT');
+addColumnIfMissing(db, 'posted', 'prompt_version', 'TEXT');
+// Our side of each post, for internal links
+addColumnIfMissing(db, 'posted', 'blogger_post_id', 'TEXT');
+addColumnIfMissing(db, 'posted', 'blogger_url', 'TEXT');
+addColumnIfMissing(db, 'posted', 'post_title', 'TEXT');
+addColumnIfMissing(db, 'posted', 'labels', 'TEXT');
+// Hash of the source text, for `update --changed`
+addColumnIfMissing(db, 'posted', 'source_hash', 'TEXT');
+if (!hasColumn(db, 'posted', 'lang')) {
+  // Older databases had guid/link UNIQUE on their own; existing rows were English
+  rebuildTable(db, 'posted', POSTED_TABLE_SQL,
+    ['id', 'guid', 'link', 'title', 'published_at', 'posted_at', 'status', 'reviewed_at', 'prompt_version']);
+}
+
+const reviewQueue = createReviewQueue(db);
+const dedup = createDedupIndex(db, {
+  threshold: parseFloat(process.env.DEDUP_THRESHOLD || '0.5'),
+  titleThreshold: parseFloat(process.env.DEDUP_TITLE_THRESHOLD || '0.8'),
+  windowDays: parseInt(process.env.DEDUP_WINDOW_DAYS || '14', 10)
+});
+const specCache = createSpecCache(db, { maxAgeDays: parseInt(process.env.SPECS_CACHE_DAYS || '30', 10) });
+// Preview runs must not leave jobs behind, so they get a throwaway store
+// Blogger media uploads go to the first language's blog
+const imageStore = DRY_RUN || !RUNS_PIPELINE
+  ? null
+  : createImageStore(loadStorageConfig(process.env, { blogger, blogId: LANGUAGES[0].blogId }), db);
+const publisher = createPublisher(TARGETS, db, { blogger });
+const scheduler = createScheduler(db, loadScheduleConfig(process.env));
+const runLog = createRunLog(db);
+const blacklist = createBlacklist(db);
+const usage = createUsageLedger(db, { prices: loadPrices(PRICES_CONFIG), budget: BUDGET });
+const itemFilter = createItemFilter(loadFilterRules(FILTERS_CONFIG));
+const skipLog = createSkipLog(db);
+const jobs = createJobStore(DRY_RUN ? new Database(':memory:') : db, {
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+  baseDelayMinutes: parseInt(process.env.JOB_RETRY_BASE_MINUTES || '15', 10)
+});
 
-function hasBeenPosted(guidOrLink) {
-  const row = db.prepare('SELECT 1 FROM posted WHERE guid = ? OR link = ?').get(guidOrLink, guidOrLink);
+function hasBeenPosted(guidOrLink, lang) {
+  const row = db.prepare('SELECT 1 FROM posted WHERE (guid = ? OR link = ?) AND lang = ?').get(guidOrLink, guidOrLink, lang);
   return !!row;
 }
 
-function markPosted({ guid, link, title, published_at }) {
-  const stmt = db.prepare('INSERT OR IGNORE INTO posted (guid, link, title, published_at) VALUES (?, ?, ?, ? )');
-  stmt.run(guid, link, title, published_at || null);
+// An item is handled once every target language is posted or has a job
+function handledInAllLanguages(guidOrLink) {
+  return LANGUAGES.every(l => hasBeenPosted(guidOrLink, l.code) || jobs.exists(guidOrLink, l.code));
 }
 
-function log(...args) {
-  console.log(new Date().toISOString(), ...args);
+function markPosted({
+  guid, link, lang, title, published_at, status = 'published', prompt_version = null, post = null, post_title = null, labels = null,
+  source_hash = null
+}) {
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO posted
+      (guid, link, lang, title, published_at, status, prompt_version, blogger_post_id, blogger_url, post_title, labels, source_hash)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(guid, link, lang, title, published_at || null, status, prompt_version,
+    post?.id || null, post?.url || null, post_title, labels ? JSON.stringify(labels) : null, source_hash);
+}
+
+// A refreshed post keeps its row; the new rewrite's details replace the old ones
+function markUpdated({ guid, lang, post = null, post_title, labels, prompt_version, source_hash }) {
+  db.prepare(`
+    UPDATE posted
+    SET status = 'published', blogger_url = COALESCE(?, blogger_url), post_title = ?, labels = ?, prompt_version = ?,
+        source_hash = ?
+    WHERE guid = ? AND lang = ?
+  `).run(post?.url || null, post_title, JSON.stringify(labels), prompt_version, source_hash, guid, lang);
+}
+
+// When a refreshed post first went out, for its JSON-LD: the row's
+// published_at, else when it was posted (SQLite keeps that in UTC)
+function firstPublishedAt(guid, lang) {
+  const row = db.prepare('SELECT published_at, posted_at FROM posted WHERE guid = ? AND lang = ?').get(guid, lang);
+  if (!row) return null;
+  return toIsoDate(row.published_at) || (row.posted_at ? toIsoDate(`${row.posted_at.replace(' ', 'T')}Z`) : null);
+}
+
+// What the `posted` row records: the Blogger post (sync and cleanup work on
+// it), or else the first target's URL for internal links
+function primaryResult(results) {
+  const onBlogger = results.find(r => r.type === 'blogger');
+  return { id: onBlogger?.id || null, url: onBlogger?.url || results.find(r => r.url)?.url || null };
 }
 
 async function fetchPage(url) {
@@ -102,78 +320,55 @@ function extractFirstImageFromHtml(html) {
   return null;
 }
 
-function extractOgImage(html) {
-  if (!html) return null;
-  const m = html.match(/property=["']og:image["']\s*content=["']([^"']+)["']/i) || 
-            html.match(/<meta[^>]*name=["']og:image["'][^>]*content=["']([^"']+)["']/i);
-  if (m) return m[1];
-  return null;
-}
+// Locates the source watermark and paints it out; returns the image unchanged
+// when there is no reference logo or the match is not confident enough
+async function removeSourceWatermark(imageBuffer, sourceLogoPath, name) {
+  const box = await detectWatermark(imageBuffer, sourceLogoPath);
+  if (!box) return imageBuffer;
 
-function extractMainArticle(html) {
-  if (!html) return null;
+  const accepted = box.score >= WATERMARK_CONFIDENCE;
+  log(`Source watermark ${accepted ? 'found' : 'not confident'} at ${box.left},${box.top} ${box.width}x${box.height} (score ${box.score})`);
+  if (WATERMARK_DEBUG_DIR) {
+    fs.mkdirSync(WATERMARK_DEBUG_DIR, { recursive: true });
+    const file = path.join(WATERMARK_DEBUG_DIR, `${Date.now()}-${slugify(name, 50) || 'image'}.png`);
+    await writeDetectionDebug(imageBuffer, box, file, { accepted });
+    log('Watermark debug image:', file);
+  }
+  return accepted ? removeWatermark(imageBuffer, box, { method: WATERMARK_FILL }) : imageBuffer;
+}
 
-  // GSMArena
-  let match = html.match(/<div class=\"article-body\">([\s\S]*?)<\/div>/i);
-  if (match) return match[1];
+async function downloadImage(url) {
+  const res = await axios.get(url, {
+    responseType: 'arraybuffer',
+    headers: { 'User-Agent': USER_AGENT },
+    timeout: 30000
+  });
+  return Buffer.from(res.data);
+}
 
-  // Engadget
-  match = html.match(/<div[^>]*class=[\"']o-article-blocks[\"'][^>]*>([\s\S]*?)<\/div>/i);
-  if (match) return match[1];
+// Resizes and encodes with the preset; `brand` also swaps the source
+// watermark for ours
+async function processImage(imageBuffer, preset, { brand = true, sourceLogoPath = SOURCE_LOGO_PATH, title = '' } = {}) {
+  // Paint out the source watermark before ours goes on
+  const cleanedImage = brand ? await removeSourceWatermark(imageBuffer, sourceLogoPath, title) : imageBuffer;
+  const resized = await sharp(cleanedImage)
+    .resize({ width: IMAGE_RESIZE_WIDTH, withoutEnlargement: true })
+    .toBuffer();
 
-  return null;
+  // Logo, text strip, frame and output format come from the preset
+  return applyBranding(resized, brand ? preset : { ...preset, logo: null, text: null, frame: null });
 }
 
-async function replaceGSMArenaLogo(originalImageUrl, customLogoPath) {
+async function replaceGSMArenaLogo(originalImageUrl, preset, { sourceLogoPath = SOURCE_LOGO_PATH, title = '' } = {}) {
   try {
     log('Downloading original image:', originalImageUrl);
     
     // Download original image
-    const imageResponse = await axios.get(originalImageUrl, {
-      responseType: 'arraybuffer',
-      headers: { 'User-Agent': USER_AGENT },
-      timeout: 30000
-    });
-    
-    // Download custom logo
-    const logoBuffer = fs.readFileSync(customLogoPath);
-    
-    // Get original image dimensions
-    const originalImage = sharp(imageResponse.data);
-    const metadata = await originalImage.metadata();
-    
-    // Calculate logo size (10% of image width)
-    const logoWidth = Math.floor(metadata.width * 0.15);
-    const logoHeight = Math.floor((logoWidth * metadata.height) / metadata.width);
-    
-    // Resize logo
-    const resizedLogo = await sharp(logoBuffer)
-      .resize(logoWidth, logoHeight, {
-        fit: 'contain',
-        background: { r: 0, g: 0, b: 0, alpha: 0 }
-      })
-      .png()
-      .toBuffer();
+    const original = await downloadImage(originalImageUrl);
+    const branded = await processImage(original, preset, { sourceLogoPath, title });
     
-    // Get logo dimensions after resize
-    const logoMetadata = await sharp(resizedLogo).metadata();
-    
-    // Position: Bottom Right with some margin
-    const left = metadata.width - logoMetadata.width - 20;
-    const top = metadata.height - logoMetadata.height - 20;
-    
-    // Composite logo onto original image
-    const finalImageBuffer = await originalImage
-      .composite([{
-        input: resizedLogo,
-        top: top,
-        left: left
-      }])
-      .jpeg({ quality: 90 })
-      .toBuffer();
-    
-    log('Logo replacement successful');
-    return finalImageBuffer;
+    log(`Logo replacement successful (preset ${preset.name}, ${branded.format})`);
+    return { ...branded, hash: await perceptualHash(original) };
     
   } catch (err) {
     log('Logo replacement failed:', err.message);
@@ -181,290 +376,722 @@ async function replaceGSMArenaLogo(originalImageUrl, customLogoPath) {
   }
 }
 
-async function uploadImageToBlogger(imageBuffer, title, format = 'jpeg') {
+async function prepareLeadImage(imageUrl, { replaceLogo, sourceLogo, branding, title }) {
+  if (!replaceLogo) return { src: imageUrl, buffer: null };
+
+  const presetName = branding || BRANDING_PRESET;
+  const preset = BRANDING[presetName];
+  if (!preset) {
+    log(`Branding preset "${presetName}" not found, using original image`);
+    return { src: imageUrl, buffer: null };
+  }
+
+  // LOGO REPLACEMENT LOGIC
+  if (!fs.existsSync(preset.logo || '') && !preset.text?.content) {
+    log('Custom logo not found, using original image');
+    return { src: imageUrl, buffer: null };
+  }
+
   try {
-    const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
-    const base64Image = imageBuffer.toString('base64');
-    
-    const timestamp = Date.now();
-    const filename = `watermarked-${timestamp}.${format}`;
-    
-    const media = await blogger.media.insert({
-      blogId: BLOG_ID,
-      media: {
-        mimeType: mimeType,
-        data: base64Image
-      },
-      requestBody: {
-        title: `Watermarked image for ${title}`,
-        fileName: filename
-      }
+    // Replace GSMArena logo with custom logo
+    const watermarked = await replaceGSMArenaLogo(imageUrl, preset, {
+      sourceLogoPath: sourceLogo || SOURCE_LOGO_PATH,
+      title
     });
-    
-    return media.data.url;
-  } catch (err) {
-    log('Image upload error:', err?.message || err);
-    return null;
+    if (!watermarked) throw new Error('Failed to create watermarked image');
+
+    // Upload once for all languages; preview keeps it next to index.html
+    const fileName = `image.${FORMAT_EXTENSIONS[watermarked.format]}`;
+    const src = DRY_RUN
+      ? fileName
+      : await imageStore.put(watermarked.buffer, { format: watermarked.format, title });
+
+    log('Successfully replaced GSMArena logo with custom logo');
+    const renditions = await prepareRenditions(watermarked, { src, title });
+    return { src, buffer: watermarked.buffer, fileName, hash: watermarked.hash, ...renditions };
+  } catch (watermarkError) {
+    // Fallback to original image
+    log('Watermarking failed, using original image:', watermarkError.message);
+    return { src: imageUrl, buffer: null };
   }
 }
 
-async function rewriteWithOpenAI({ title, snippet, content }) {
-  const prompt = `You are a highly skilled SEO Content Writer. Rewrite the following article into a **unique, high-quality, and comprehensive English news post** for a professional tech blog.
+/**
+ * Re-hosts the article's other images: downloads each candidate, drops
+ * perceptual duplicates (of each other and of the lead image), processes it
+ * like the lead image and uploads it. Returns up to `limit` entries of
+ * { src, fileName, buffer, sourceAlt, caption, source }; failures only skip
+ * that image.
+ */
+async function prepareInlineImages(images, { exclude, knownHashes = [], limit, brand, preset, sourceLogo, title }) {
+  const prepared = [];
+  const hashes = [...knownHashes];
 
-Rules for SEO and Originality:
-1.  **Originality First:** Your main goal is to generate content that is **NOT duplicate**. Paraphrase and restructure the input completely.
-2.  **Completeness/Depth:** The post must fully answer the user's intent. **Expand the topic to reach a minimum length of 1200 words** (unless the topic is extremely simple).
-3.  **Structure:** Use a compelling main headline (H1) and relevant, structured subheadings (H2, H3) for readability and SEO.
-4.  **Formatting:** Use standard HTML formatting (p, strong, ul, ol).
-5.  **Clean Output:** **DO NOT** include any links (hyperlinks/<a> tags). **DO NOT** include any introductory or concluding remarks outside the main article body.
-6.  **Language:** Write in professional, clear English only.
-7.  **Output Format:** Return **ONLY** the final HTML content for the article body.`;
+  for (const image of pickArticleImages(images, { exclude, limit })) {
+    if (prepared.length >= limit) break;
+    try {
+      const original = await downloadImage(image.src);
+      const { width, height } = await sharp(original).metadata();
+      if (width < MIN_DIMENSION || height < MIN_DIMENSION) continue;
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [{ role: 'user', content: `${prompt}\n\nTitle: ${title}\n\nSnippet: ${snippet || ''}\n\nContent:\n${content || ''}` }],
-      max_tokens: 2200
-    });
-    let text = completion.choices?.[0]?.message?.content || '';
+      const hash = await perceptualHash(original);
+      if (isNearDuplicate(hash, hashes)) {
+        log('Skipping duplicate inline image:', image.src);
+        continue;
+      }
+      hashes.push(hash);
 
-    text = text.replace(/\.\.\.\s*html/gi, '');
-    text = text.replace(/<a [^>]*>(.*?)<\/a>/gi, '$1');
+      const processed = await processImage(original, preset, { brand, sourceLogoPath: sourceLogo || SOURCE_LOGO_PATH, title });
+      const fileName = `image-${prepared.length + 2}.${FORMAT_EXTENSIONS[processed.format]}`;
+      const src = DRY_RUN
+        ? fileName
+        : await imageStore.put(processed.buffer, { format: processed.format, title });
 
-    return text;
-  } catch (err) {
-    log('OpenAI rewrite error:', err?.message || err);
-    throw err;
+      prepared.push({ src, fileName, buffer: processed.buffer, sourceAlt: image.alt, caption: image.caption, source: image.src });
+    } catch (err) {
+      log('Inline image skipped:', image.src, err?.message || err);
+    }
   }
+
+  if (prepared.length) log(`Prepared ${prepared.length} inline image(s)`);
+  return prepared;
 }
 
-async function generateImageAlt(title, snippet, content) {
-  const prompt = `Generate a descriptive image alt text (5-10 words) that explains what the picture shows based on this article:\nTitle: ${title}\nSnippet: ${snippet}\nContent: ${content}\nOnly return alt text.`;
+/**
+ * Renders the processed lead image at IMAGE_VARIANT_WIDTHS and crops the
+ * social card and square thumbnail from it. Each file is stored like the
+ * image itself (or named for the preview folder); a failure here only loses
+ * the renditions. Resolves to { variants: [{ width, src }], card, thumbnail,
+ * files } where `files` holds the buffers for preview.
+ */
+async function prepareRenditions({ buffer, format }, { src, title }) {
+  const ext = FORMAT_EXTENSIONS[format];
+  const files = [];
+  const store = async (fileName, data) => {
+    files.push({ fileName, buffer: data });
+    return DRY_RUN ? fileName : imageStore.put(data, { format, title });
+  };
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 40
-    });
-    return (completion.choices?.[0]?.message?.content || title).trim();
+    const variants = [];
+    for (const variant of await renderVariants(buffer, IMAGE_VARIANT_WIDTHS, { format })) {
+      // The full-width variant is the image that was just stored
+      const variantSrc = variant.buffer === buffer ? src : await store(`image-${variant.width}w.${ext}`, variant.buffer);
+      variants.push({ width: variant.width, src: variantSrc });
+    }
+    const card = await store(`card.${ext}`, await cropTo(buffer, CARD_WIDTH, CARD_HEIGHT, { format }));
+    const thumbnail = await store(`thumb.${ext}`, await cropTo(buffer, THUMBNAIL_SIZE, THUMBNAIL_SIZE, { format }));
+    return { variants, card, thumbnail, files };
   } catch (err) {
-    log('Alt error:', err?.message || err);
-    return title;
+    log('Image renditions failed, using the single image:', err?.message || err);
+    return { variants: [], card: null, thumbnail: null, files: [] };
   }
 }
 
-async function generateImageTitle(title, snippet, content) {
-  const prompt = `Generate a short SEO-friendly title text (3-6 words) for an image in this article:\nTitle: ${title}\nSnippet: ${snippet}\nContent: ${content}\nOnly return title text.`;
+// Blogger takes the `src` of the first image in a post for its feed thumbnail
+// and og:image, so that is the social card; browsers pick from the srcset
+function leadImageHtml(src, altText, titleText, variants = [], card = null) {
+  const responsive = variants.length > 1
+    ? `\n         srcset="${srcsetAttr(variants)}"\n         sizes="(max-width: ${MAX_IMAGE_WIDTH}px) 100vw, ${MAX_IMAGE_WIDTH}px"`
+    : '';
+  return `<div style="text-align: center; margin: 20px 0;">
+    <img src="${card || src}" ${responsive}
+         alt="${escapeHtml(altText)}" 
+         title="${escapeHtml(titleText)}" 
+         style="max-width: ${MAX_IMAGE_WIDTH}px; width: 100%; height: auto; border-radius: 8px;" />
+  </div>\n`;
+}
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 20
-    });
-    return (completion.choices?.[0]?.message?.content || title).trim();
-  } catch (err) {
-    log('Title error:', err?.message || err);
-    return title;
+// Stage 1 (per item): fetch the source page and extract the article
+async function fetchStage(source, feed) {
+  const { link } = source;
+  const snippet = source.snippet || '';
+  let fullContent = source.content || snippet;
+  let imageUrl = null;
+  let isGSMArenaImage = false;
+  let article = null;
+  let pageHtml = null;
+
+  if (link) {
+    pageHtml = await fetchPage(link);
+    if (pageHtml) {
+      article = extractArticle(pageHtml, link, { selectors: feed.selectors });
+      if (article) {
+        log(`Extracted article with ${article.extractor} extractor (${article.images.length} images)`);
+        fullContent = article.bodyHtml;
+        imageUrl = article.leadImage;
+      }
+      if (!imageUrl) imageUrl = extractFirstImageFromHtml(pageHtml);
+      
+      if (imageUrl && (link.includes('gsmarena.com') || imageUrl.includes('gsmarena'))) {
+        isGSMArenaImage = true;
+      }
+    }
+  }
+  
+  if (!imageUrl) {
+    imageUrl = extractFirstImageFromHtml(fullContent);
+    if (imageUrl && imageUrl.includes('gsmarena')) {
+      isGSMArenaImage = true;
+    }
   }
-}
 
-async function generateTags(title, snippet, content) {
-  const prompt = `Generate 3-6 SEO-friendly tags for this article. Return as comma-separated keywords only.\nTitle: ${title}\nSnippet: ${snippet}\nContent: ${content}`;
+  // Per-feed toggle wins over domain detection
+  if (feed.replaceLogo !== null) isGSMArenaImage = !!imageUrl && feed.replaceLogo;
+  if (isGSMArenaImage) log('Image marked for logo replacement');
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 40
-    });
-    const tags = (completion.choices?.[0]?.message?.content || '').split(',').map(t => t.trim()).filter(Boolean);
-    return tags;
-  } catch (err) {
-    log('Tags error:', err?.message || err);
-    return [];
+  // Spec sheets are extras: a lookup failure never fails the fetch
+  let devices = [];
+  const wantSpecs = feed.specs ?? /gsmarena\.com/i.test(link || '');
+  if (DEVICE_SPECS && wantSpecs) {
+    try {
+      devices = await lookupDevices({ pageHtml, link, title: source.title }, { fetchPage, cache: specCache, maxDevices: MAX_SPEC_DEVICES });
+      if (devices.length) log('Device specs found:', devices.map(d => d.name).join(', '));
+    } catch (err) {
+      log('Device spec lookup failed:', err?.message || err);
+    }
   }
+
+  // Body HTML/text are already in fullContent; keep the stored job data small
+  const articleMeta = article ? (({ bodyHtml, text, ...meta }) => meta)(article) : null;
+  return { snippet, fullContent, imageUrl, replaceLogo: isGSMArenaImage, article: articleMeta, devices };
 }
 
-async function createBloggerPost({ title, htmlContent, labels = [] }) {
-  try {
-    const res = await blogger.posts.insert({
-      blogId: BLOG_ID,
-      requestBody: {
-        title,
-        content: htmlContent,
-        labels: labels.length ? labels : undefined
-      }
-    });
-    return res.data;
-  } catch (err) {
-    log('Blogger API error:', err?.message || err?.toString());
-    throw err;
+// Published items are what later stories are compared against
+function rememberFingerprint({ guid, link, feed, title }, shared) {
+  if (shared.fingerprint) dedup.remember({ guid, link, feed, title }, shared.fingerprint);
+}
+
+// Points readers of a follow-up story to the earlier post in the same language
+function updateNoticeHtml(updateOf, language) {
+  const earlier = jobs.find(updateOf.guid, language.code)?.data.url;
+  const label = escapeHtml(language.updateNotice || 'Update to our earlier coverage:');
+  const title = escapeHtml(updateOf.title);
+  return `<p class="update-notice"><strong>${label}</strong> ${earlier ? `<a href="${escapeHtml(earlier)}">${title}</a>` : title}</p>\n`;
+}
+
+// Turns due jobs into per-item groups, keeping job order
+function groupJobsByItem(dueJobs) {
+  const groups = new Map();
+  for (const job of dueJobs) {
+    if (!groups.has(job.guid)) groups.set(job.guid, []);
+    groups.get(job.guid).push(job);
   }
+  return [...groups.values()];
 }
 
-async function processOnce() {
-  try {
-    log('Fetching RSS:', GSMARENA_RSS);
-    const feed = await parser.parseURL(GSMARENA_RSS);
-    if (!feed?.items?.length) {
-      log('No items in feed.');
-      return;
+// Skips every job of an item and records why in the skip log
+function skipItem(group, { guid, link, feed, title }, rule, reason) {
+  if (DRY_RUN) return;
+  group.forEach(job => jobs.skip(job.id, reason));
+  skipLog.record({ guid, link, feed, title, rule, reason });
+}
+
+/**
+ * Runs the remaining stages for one source item. Item-level stages (fetch,
+ * image) are shared by all of its language jobs; rewrite and publish run per
+ * language, so a failure only holds back that language. Returns true when
+ * something was published live.
+ */
+async function processItem(group, feedsByName, stats = newRunStats()) {
+  const { source, title, guid, link } = group[0];
+  const feed = feedsByName.get(group[0].feed) || { name: group[0].feed || 'unknown', labels: [], selectors: [], replaceLogo: null };
+  const retries = Math.max(...group.map(job => job.attempts));
+  stats.items++;
+
+  // Blacklisted after its jobs were created (from the dashboard)
+  const blocked = blacklist.match(link) || blacklist.match(guid);
+  if (blocked) {
+    log('Skipping blacklisted source:', link || guid);
+    skipItem(group, { guid, link, feed: feed.name, title }, 'blacklist', `blacklisted (${blocked.url})`);
+    stats.skipped += group.length;
+    return false;
+  }
+
+  // Over a spending cap, jobs that still need the LLM wait for the cap to reset
+  const budget = usage.check();
+  if (budget.state === 'paused') {
+    const waiting = group.filter(job => stageIndex(job.stage) < stageIndex('checked'));
+    if (waiting.length) {
+      log(`Generation paused until ${budget.until.toISOString()}, ${budget.reason}:`, title);
+      if (!DRY_RUN) waiting.forEach(job => jobs.postpone(job.id, budget.until, `budget: ${budget.reason}`));
+      group = group.filter(job => !waiting.includes(job));
+      if (!group.length) return false;
     }
+  } else if (budget.state === 'fallback') {
+    log(`Using the fallback model, ${budget.reason}`);
+  }
+  log(`Processing item [${feed.name}]:`, title, retries ? `(retry ${retries})` : '');
 
-    const items = feed.items.slice(0, MAX_ITEMS_PER_RUN);
-    for (const item of items) {
-      const guid = item.guid || item.link || item.id || item.title;
-      const link = item.link;
-      const title = item.title || 'Untitled';
+  // Shared stages are redone only if some job of the item has not passed
+  // them yet (e.g. a language added after the others were posted)
+  const lowest = Math.min(...group.map(job => stageIndex(job.stage)));
+  const furthest = group.reduce((a, b) => (stageIndex(b.stage) > stageIndex(a.stage) ? b : a));
+  let shared = furthest.data;
+  let previewImages = [];
+  let stage = 'fetched';
+  try {
+    if (lowest < stageIndex('fetched')) {
+      shared = await fetchStage(source, feed);
+      shared.fingerprint = fingerprint({ title, body: shared.fullContent });
+      // An update of our own post is not held to the filter rules or treated as a duplicate of it
+      const refreshing = group.some(job => job.data.refresh);
 
-      if (hasBeenPosted(guid) || hasBeenPosted(link)) {
-        log('Already posted:', title);
-        continue;
+      const content = refreshing ? { ok: true } : itemFilter.checkContent(htmlToText(shared.fullContent), feed);
+      if (!content.ok) {
+        log(`Filtered out (${content.rule}):`, title, '-', content.reason);
+        skipItem(group, { guid, link, feed: feed.name, title }, content.rule, content.reason);
+        stats.skipped += group.length;
+        return false;
       }
 
-      log('Processing new item:', title);
-
-      let snippet = item.contentSnippet || '';
-      let fullContent = item['content:encoded'] || item.content || snippet;
-      let imageUrl = null;
-      let isGSMArenaImage = false;
-
-      if (link) {
-        const pageHtml = await fetchPage(link);
-        if (pageHtml) {
-          const extracted = extractMainArticle(pageHtml);
-          if (extracted) fullContent = extracted;
-          if (!imageUrl) imageUrl = extractOgImage(pageHtml) || extractFirstImageFromHtml(pageHtml);
-          
-          if (imageUrl && (link.includes('gsmarena.com') || imageUrl.includes('gsmarena'))) {
-            isGSMArenaImage = true;
-            log('Detected GSMArena image for logo replacement');
+      const duplicate = DEDUP_MODE !== 'off' && feed.dedup !== false && !refreshing
+        ? dedup.findDuplicate(shared.fingerprint, { guid })
+        : null;
+      if (duplicate) {
+        const match = `"${duplicate.title}" (${duplicate.by} similarity ${duplicate.similarity.toFixed(2)})`;
+        if (DEDUP_MODE !== 'update') {
+          log('Skipping near-duplicate of', match);
+          if (!DRY_RUN) {
+            group.forEach(job => {
+              jobs.skip(job.id, `duplicate of ${duplicate.guid}`);
+              markPosted({ guid, link, lang: job.lang, title, published_at: source.pubDate || source.isoDate, status: 'duplicate' });
+            });
+            skipLog.record({ guid, link, feed: feed.name, title, rule: 'duplicate', reason: `duplicate of ${match}` });
           }
+          stats.skipped += group.length;
+          return false;
         }
+        log('Posting as an update to', match);
+        shared.updateOf = { guid: duplicate.guid, title: duplicate.title };
       }
-      
-      if (!imageUrl) {
-        imageUrl = extractFirstImageFromHtml(fullContent);
-        if (imageUrl && imageUrl.includes('gsmarena')) {
-          isGSMArenaImage = true;
+      group.forEach(job => jobs.advance(job.id, 'fetched', shared));
+    }
+
+    stage = 'image_processed';
+    if (lowest < stageIndex('image_processed')) {
+      // The lead image is branded and uploaded once and shared by every language
+      const leadImage = shared.imageUrl
+        ? await prepareLeadImage(shared.imageUrl, {
+          replaceLogo: shared.replaceLogo,
+          sourceLogo: feed.sourceLogo,
+          branding: feed.branding,
+          title
+        })
+        : null;
+      previewImages = leadImage?.buffer ? [{ fileName: leadImage.fileName, buffer: leadImage.buffer }, ...leadImage.files] : [];
+
+      const inlineMode = feed.inlineImages || INLINE_IMAGES;
+      const presetName = feed.branding || BRANDING_PRESET;
+      const inlineImages = inlineMode !== 'off' && shared.article?.images?.length && BRANDING[presetName]
+        ? await prepareInlineImages(shared.article.images, {
+          exclude: [shared.imageUrl],
+          knownHashes: [leadImage?.hash],
+          limit: feed.maxImages ?? MAX_INLINE_IMAGES,
+          brand: !!shared.replaceLogo,
+          preset: BRANDING[presetName],
+          sourceLogo: feed.sourceLogo,
+          title
+        })
+        : [];
+      previewImages.push(...inlineImages.map(({ fileName, buffer }) => ({ fileName, buffer })));
+
+      shared = {
+        ...shared,
+        leadImageSrc: leadImage?.src || null,
+        leadVariants: leadImage?.variants || [],
+        socialCard: leadImage?.card || null,
+        thumbnail: leadImage?.thumbnail || null,
+        logoReplaced: !!leadImage?.buffer,
+        // Buffers stay out of the job data; preview reads them from previewImages
+        inlineImages: inlineImages.map(({ buffer, ...image }) => image)
+      };
+      group.forEach(job => jobs.advance(job.id, 'image_processed', shared));
+    }
+  } catch (err) {
+    log(`Item failed at ${stage}:`, title, err?.message || err);
+    group.forEach(job => jobs.fail(job.id, stage, err));
+    stats.failed += group.length;
+    return false;
+  }
+
+  let postedAny = false;
+  for (const job of group) {
+    const language = LANGUAGES.find(l => l.code === job.lang);
+    const tag = `[${job.lang}]`;
+    let jobStage = 'rewritten';
+
+    try {
+      if (!language) throw new Error(`Language ${job.lang} is no longer configured`);
+      const current = jobs.get(job.id);
+
+      // One structured call returns the article and all of its metadata
+      const facts = specFacts(shared.devices || []);
+      const template = loadPromptTemplate(feed.prompt || language.prompt || PROMPT_TEMPLATE, PROMPTS_DIR);
+      const meteredLLM = usage.meter(llm, { guid, lang: job.lang, feed: feed.name, title }, { fallback: budget.state === 'fallback' });
+      const rewrite = feedback => generateArticle(meteredLLM, {
+        template,
+        title,
+        snippet: shared.snippet,
+        content: shared.fullContent,
+        language,
+        siteName: feed.siteName || language.siteName || SITE_NAME,
+        wordTarget: feed.wordTarget || WORD_TARGET,
+        images: (shared.inlineImages || []).map(img => ({ alt: img.sourceAlt, caption: img.caption })),
+        facts,
+        feedback,
+        attempts: GENERATION_ATTEMPTS
+      }).then(generated => {
+        stats.prompt_tokens += generated.usage.prompt_tokens;
+        stats.completion_tokens += generated.usage.completion_tokens;
+        return generated;
+      });
+
+      let generated = current.data.generated;
+      if (stageIndex(current.stage) < stageIndex('rewritten')) {
+        generated = await rewrite([]);
+        jobs.advance(job.id, 'rewritten', { generated });
+      }
+
+      // The rewrite is checked against the source before anything is posted
+      jobStage = 'checked';
+      const policy = (feed.factCheck || FACT_CHECK_POLICY).toLowerCase();
+      let check = current.data.check;
+      if (stageIndex(current.stage) < stageIndex('checked')) {
+        const sourceText = [title, shared.snippet, htmlToText(shared.fullContent), facts].join('\n');
+        const runCheck = () => (policy === 'off'
+          ? { ok: true, unsupported: [], problems: [] }
+          : checkArticle(generated, sourceText, { minWords: FACT_CHECK_MIN_WORDS, tolerance: FACT_CHECK_TOLERANCE }));
+        check = runCheck();
+        for (let attempt = 1; !check.ok && policy === 'regenerate' && attempt <= FACT_CHECK_ATTEMPTS; attempt++) {
+          log(`${tag} Check failed, regenerating (${attempt}/${FACT_CHECK_ATTEMPTS}):`, check.problems.join('; '));
+          generated = await rewrite(check.problems);
+          check = runCheck();
         }
+        if (!check.ok) log(`${tag} Check failed:`, check.problems.join('; '));
+        jobs.advance(job.id, 'checked', { generated, check });
       }
+      // `publish` only logs the problems; the other policies hold the post
+      const holdForReview = !check.ok && policy !== 'publish';
+      // Set by `node app.js update`: patch the existing post instead of adding one
+      const refresh = current.data.refresh || null;
+      const source_hash = sourceHash(htmlToText(shared.fullContent));
 
-      let rewrittenHtml = '';
-      try {
-        rewrittenHtml = await rewriteWithOpenAI({ title, snippet, content: fullContent });
-      } catch (e) {
-        log('OpenAI rewrite failed:', title);
+      jobStage = 'published';
+      const postTitle = generated.seoTitle || title;
+
+      // New posts go out at their language's next free slot; updates right
+      // away. The slot is taken first, so the JSON-LD carries its date
+      const toReview = PUBLISH_MODE === 'review' || holdForReview;
+      const takesSlot = scheduler.enabled && !refresh && !toReview && !DRY_RUN;
+      const publishAt = takesSlot ? scheduler.reserve({ guid, lang: language.code, title: postTitle }) : null;
+      if (takesSlot && !publishAt) {
+        // The window only grows at midnight, so there is no point looking earlier
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        jobs.postpone(job.id, midnight, `no free slot in the next ${scheduler.config.horizonDays} days`);
+        log(`${tag} No free publishing slot in the next ${scheduler.config.horizonDays} days, waiting until tomorrow:`, title);
         continue;
       }
 
       let finalHtml = '';
-      if (imageUrl) {
-        const altText = await generateImageAlt(title, snippet, fullContent);
-        const titleText = await generateImageTitle(title, snippet, fullContent);
-        
-        // LOGO REPLACEMENT LOGIC
-        if (isGSMArenaImage) {
-          const customLogoPath = CUSTOM_LOGO_PATH;
-          
-          if (fs.existsSync(customLogoPath)) {
-            try {
-              // Replace GSMArena logo with custom logo
-              const watermarkedImageBuffer = await replaceGSMArenaLogo(imageUrl, customLogoPath);
-              
-              if (watermarkedImageBuffer) {
-                // Upload watermarked image to Blogger
-                const uploadedImageUrl = await uploadImageToBlogger(watermarkedImageBuffer, title, 'jpeg');
-                
-                if (uploadedImageUrl) {
-                  finalHtml += `<div style="text-align: center; margin: 20px 0;">
-                    <img src="${uploadedImageUrl}" 
-                         alt="${escapeHtml(altText)}" 
-                         title="${escapeHtml(titleText)}" 
-                         style="max-width: ${MAX_IMAGE_WIDTH}px; width: 100%; height: auto; border-radius: 8px;" />
-                  </div>\n`;
-                  log('Successfully replaced GSMArena logo with custom logo');
-                } else {
-                  throw new Error('Failed to upload watermarked image');
-                }
-              } else {
-                throw new Error('Failed to create watermarked image');
-              }
-            } catch (watermarkError) {
-              log('Watermarking failed, using original image:', watermarkError.message);
-              // Fallback to original image
-              finalHtml += `<div style="text-align: center; margin: 20px 0;">
-                <img src="${imageUrl}" 
-                     alt="${escapeHtml(altText)}" 
-                     title="${escapeHtml(titleText)}" 
-                     style="max-width: ${MAX_IMAGE_WIDTH}px; width: 100%; height: auto; border-radius: 8px;" />
-              </div>\n`;
-            }
-          } else {
-            log('Custom logo not found, using original image');
-            finalHtml += `<div style="text-align: center; margin: 20px 0;">
-              <img src="${imageUrl}" 
-                   alt="${escapeHtml(altText)}" 
-                   title="${escapeHtml(titleText)}" 
-                   style="max-width: ${MAX_IMAGE_WIDTH}px; width: 100%; height: auto; border-radius: 8px;" />
-            </div>\n`;
+      if (shared.updateOf) finalHtml += updateNoticeHtml(shared.updateOf, language);
+      if (shared.leadImageSrc) {
+        finalHtml += leadImageHtml(shared.leadImageSrc, generated.imageAlt || title, generated.imageTitle || title, shared.leadVariants, shared.socialCard);
+      }
+      const devices = shared.devices || [];
+      if (devices.length) finalHtml += keySpecsHtml(devices[0], { heading: language.keySpecsHeading });
+
+      const labels = [...new Set([...(feed.labels || []), ...generated.labels])];
+      const publishedAt = source.pubDate || source.isoDate || null;
+
+      // Earlier posts sharing labels or title words get links in the text and a related block
+      const related = feed.internalLinks === false
+        ? []
+        : findRelatedPosts(db, { lang: language.code, labels, title: postTitle, excludeGuid: guid, limit: Math.max(RELATED_POSTS, INTERNAL_LINKS) });
+      const { html: articleHtml, linked } = insertContextualLinks(generated.html, related, { max: INTERNAL_LINKS });
+      if (related.length) log(`${tag} Related posts: ${related.length}, linked in text: ${linked.length}`);
+      finalHtml += insertImages(
+        articleHtml,
+        (shared.inlineImages || []).map((img, i) => ({ src: img.src, alt: generated.galleryAlts?.[i] || img.sourceAlt || title })),
+        { mode: feed.inlineImages || INLINE_IMAGES, maxWidth: MAX_IMAGE_WIDTH }
+      );
+
+      finalHtml += devices.map(device => specTableHtml(device, { heading: language.specsHeading })).join('');
+
+      const seo = seoOptions(SEO_PARTS_ENABLED, feed.seo);
+      const faq = seo.faq ? generated.faq || [] : [];
+      if (faq.length) finalHtml += faqHtml(faq, { heading: language.faqHeading });
+      finalHtml += relatedPostsHtml(related.slice(0, RELATED_POSTS), { heading: language.relatedHeading });
+      if (seo.attribution && link) finalHtml += attributionHtml(link, { label: language.sourceLabel });
+      finalHtml = wrapForLanguage(finalHtml, language);
+      if (seo.jsonLd) {
+        // An update keeps the date the post first went out and is modified now
+        const now = new Date().toISOString();
+        finalHtml += newsArticleJsonLd({
+          headline: postTitle,
+          description: generated.metaDescription,
+          images: [shared.socialCard, shared.leadImageSrc],
+          datePublished: refresh ? firstPublishedAt(guid, language.code) || now : publishAt?.toISOString() || now,
+          dateModified: refresh ? now : undefined,
+          language: language.code,
+          sourceUrl: link,
+          publisher: { name: PUBLISHER_NAME, logo: PUBLISHER_LOGO_URL },
+          keywords: labels
+        });
+        if (faq.length) finalHtml += faqJsonLd(faq);
+      }
+      const metaDescription = seo.metaDescription ? generated.metaDescription : null;
+      const targets = publisher.route({ feed, labels, lang: language.code });
+      const targetPost = {
+        title: postTitle, html: finalHtml, labels, metaDescription, slug: generated.slug || slugify(title),
+        image: shared.socialCard || shared.leadImageSrc || null, thumbnail: shared.thumbnail || null, language: language.code,
+        blogId: language.blogId
+      };
+
+      if (DRY_RUN) {
+        const dir = writePreview(previewDirFor(PREVIEW_DIR, `${generated.slug || slugify(title)}-${language.code}`), {
+          title: postTitle,
+          htmlContent: finalHtml,
+          labels,
+          images: previewImages,
+          metadata: {
+            lang: language.code,
+            blog_id: language.blogId || null,
+            targets,
+            source_title: title,
+            meta_description: generated.metaDescription,
+            slug: generated.slug,
+            image_alt: generated.imageAlt,
+            image_title: generated.imageTitle,
+            faq: generated.faq,
+            feed: feed.name,
+            guid,
+            link,
+            source_published_at: shared.article?.publishedAt || source.isoDate || source.pubDate || null,
+            source_author: shared.article?.author || null,
+            extractor: shared.article?.extractor || null,
+            image_source: shared.imageUrl,
+            logo_replaced: !!shared.logoReplaced,
+            social_card: shared.socialCard,
+            thumbnail: shared.thumbnail,
+            devices: devices.map(d => d.url),
+            related_posts: related.map(post => post.url),
+            check: check.ok ? 'passed' : check.problems,
+            held_for_review: holdForReview,
+            updates_post: refresh?.postId || null,
+            llm: `${generated.provider}:${generated.model}`,
+            prompt_version: generated.promptVersion
           }
+        });
+        log(`${tag} Preview written (not posted):`, dir);
+        jobs.complete(job.id, { preview: dir });
+        continue;
+      }
+
+      if (toReview) {
+        const id = reviewQueue.enqueue({
+          guid, link, lang: language.code, blogId: language.blogId, feed: feed.name, title: postTitle, html: finalHtml, labels,
+          promptVersion: generated.promptVersion, metaDescription, image: targetPost.image, thumbnail: targetPost.thumbnail,
+          bloggerPostId: refresh?.postId, update: !!refresh,
+          note: check.ok ? null : `Check failed: ${check.problems.join('; ')}`
+        });
+        if (refresh) {
+          // The old post stays up until the update is approved
+          db.prepare('UPDATE posted SET source_hash = ? WHERE guid = ? AND lang = ?').run(source_hash, guid, language.code);
         } else {
-          // For non-GSMArena images
-          finalHtml += `<div style="text-align: center; margin: 20px 0;">
-            <img src="${imageUrl}" 
-                 alt="${escapeHtml(altText)}" 
-                 title="${escapeHtml(titleText)}" 
-                 style="max-width: ${MAX_IMAGE_WIDTH}px; width: 100%; height: auto; border-radius: 8px;" />
-          </div>\n`;
+          markPosted({
+            guid, link, lang: language.code, title, published_at: publishedAt,
+            status: 'pending', prompt_version: generated.promptVersion, post_title: postTitle, labels, source_hash
+          });
         }
+        jobs.complete(job.id, { reviewId: id });
+        stats.queued++;
+        rememberFingerprint(group[0], shared);
+        log(`${tag} ${holdForReview ? 'Held' : 'Queued'} for review as #${id}:`, title);
+        continue;
       }
-      
-      finalHtml += rewrittenHtml;
 
-      const tags = await generateTags(title, snippet, fullContent);
-
-      let posted;
-      try {
-        posted = await createBloggerPost({ title, htmlContent: finalHtml, labels: tags });
-      } catch (e) {
-        log('Failed to post to Blogger for:', title);
+      // Targets that already have the post (an earlier attempt) are skipped;
+      // a refresh updates them in place
+      const results = await publisher.publish({
+        guid, lang: language.code, names: targets, post: { ...targetPost, publishAt }, updateExisting: !!refresh,
+        bloggerPostId: refresh?.postId
+      });
+      const posted = primaryResult(results);
+      if (refresh) {
+        log(`${tag} Updated:`, posted.url || refresh.postId);
+        markUpdated({
+          guid, lang: language.code, post: posted, post_title: postTitle, labels, prompt_version: generated.promptVersion, source_hash
+        });
+        jobs.complete(job.id, { postId: refresh.postId, url: posted.url, targets, refresh: null });
+        stats.published++;
+        postedAny = true;
         continue;
       }
 
-      log('Posted to Blogger:', posted.url || posted.id || '(no url returned)');
-      markPosted({ guid, link, title, published_at: item.pubDate || item.isoDate || null });
+      if (publishAt) {
+        scheduler.confirm(guid, language.code);
+        log(`${tag} Scheduled on ${targets.join(', ')} for ${publishAt.toLocaleString()}:`, posted.url || '(no url returned)');
+      } else {
+        log(`${tag} Published to ${targets.join(', ')}:`, posted.url || '(no url returned)');
+      }
+      markPosted({
+        guid, link, lang: language.code, title, published_at: publishedAt, status: publishAt ? 'scheduled' : 'published',
+        prompt_version: generated.promptVersion, post: posted, post_title: postTitle, labels, source_hash
+      });
+      jobs.complete(job.id, { postId: posted.id, url: posted.url, targets, publishAt: publishAt?.toISOString() || null });
+      stats.published++;
+      rememberFingerprint(group[0], shared);
+      postedAny = true;
       await sleep(2000);
+    } catch (err) {
+      const failed = jobs.fail(job.id, jobStage, err);
+      stats.failed++;
+      log(`${tag} Failed at ${jobStage}:`, title, err?.message || err,
+        failed.status === 'dead' ? '(dead-lettered)' : `(retry after ${failed.next_retry_at})`);
+    }
+  }
+
+  return postedAny;
+}
+
+/**
+ * Blacklist and filter rules for a collected feed item, before it becomes a
+ * job. Rejections are logged and recorded in the skip log.
+ */
+async function acceptFeedItem(entry, stats) {
+  const { guid, link, title, feed } = entry;
+  const blocked = blacklist.match(link) || blacklist.match(guid);
+  // The classifier spends tokens too, so it is left out in preview and while
+  // a budget pauses generation
+  const classify = !DRY_RUN && usage.check().state !== 'paused';
+  const verdict = blocked
+    ? { ok: false, rule: 'blacklist', reason: `blacklisted (${blocked.url})` }
+    : await itemFilter.check(entry, {
+      llm: classify ? usage.meter(llm, { guid, feed: feed.name, title }, { fallback: true }) : null
+    });
+  if (verdict.ok) return true;
+
+  log(`Filtered out [${feed.name}] (${verdict.rule}):`, title, '-', verdict.reason);
+  if (!DRY_RUN) skipLog.record({ guid, link, feed: feed.name, title, rule: verdict.rule, reason: verdict.reason });
+  stats.skipped++;
+  return false;
+}
+
+async function processOnce(trigger = 'cron') {
+  const stats = newRunStats();
+  const runId = DRY_RUN ? null : runLog.start(trigger);
+  let error = null;
+  try {
+    const feeds = loadFeeds(FEEDS_CONFIG, { url: GSMARENA_RSS, maxItems: MAX_ITEMS_PER_RUN });
+    const feedsByName = new Map(feeds.map(f => [f.name, f]));
+
+    // Scheduled posts whose time has come are live by now
+    if (!DRY_RUN) {
+      for (const row of scheduler.due()) {
+        db.prepare("UPDATE posted SET status = 'published' WHERE guid = ? AND lang = ? AND status = 'scheduled'").run(row.guid, row.lang);
+      }
+    }
+
+    // New feed items become jobs (one per missing language); items that
+    // already have jobs are picked up below when they are due
+    if (feeds.length) {
+      const entries = await collectFeedItems(
+        parser,
+        feeds,
+        guidOrLink => handledInAllLanguages(guidOrLink) || skipLog.has(guidOrLink),
+        entry => acceptFeedItem(entry, stats)
+      );
+      for (const { item, feed, guid, link, title } of entries) {
+        const source = {
+          guid,
+          link,
+          title,
+          snippet: item.contentSnippet || '',
+          content: item['content:encoded'] || item.content || '',
+          pubDate: item.pubDate || null,
+          isoDate: item.isoDate || null
+        };
+        for (const language of LANGUAGES) {
+          if (hasBeenPosted(guid, language.code) || (link && hasBeenPosted(link, language.code))) continue;
+          jobs.ensure({ guid, link, lang: language.code, feed: feed.name, title, source });
+        }
+      }
+    } else {
+      log('No feeds configured. Set FEEDS_CONFIG or GSMARENA_RSS.');
+    }
+
+    const groups = groupJobsByItem(jobs.due());
+    if (!groups.length) {
+      log('No new or due items.');
+      return;
+    }
 
-      if (MODE === 'once') {
-        log('MODE=once: exiting after one post.');
+    for (const group of groups) {
+      const postedAny = await processItem(group, feedsByName, stats);
+      if (MODE === 'once' && postedAny) {
+        log('MODE=once: exiting after one item.');
         return;
       }
     }
   } catch (err) {
-    log('processOnce error:', err?.message || err);
+    error = err?.message || String(err);
+    log('processOnce error:', error);
+  } finally {
+    if (runId) runLog.finish(runId, stats, error);
   }
 }
 
-function sleep(ms) { 
-  return new Promise(r => setTimeout(r, ms)); 
+// One run at a time: a cron tick or a dashboard click during a run joins it
+let currentRun = null;
+function runOnce(trigger) {
+  if (currentRun) {
+    log(`A run is already in progress, ${trigger} run skipped`);
+    return currentRun;
+  }
+  currentRun = processOnce(trigger).finally(() => { currentRun = null; });
+  return currentRun;
 }
 
-function escapeHtml(text) {
-  if (!text) return '';
-  return text.replace(/[&<>"']/g, m => ({ 
-    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' 
-  }[m]));
+function startAdmin() {
+  return startAdminServer(db, {
+    info: () => ({
+      mode: COMMAND === 'admin' ? 'admin' : MODE,
+      publishMode: PUBLISH_MODE,
+      languages: LANGUAGES.map(l => l.code),
+      targets: Object.keys(TARGETS.targets),
+      schedule: scheduler.enabled
+    }),
+    isRunning: () => !!currentRun,
+    triggerRun: () => runOnce('manual'),
+    jobs,
+    runs: runLog,
+    blacklist,
+    usage,
+    skips: skipLog
+  }, { port: ADMIN_PORT, host: ADMIN_HOST, token: ADMIN_TOKEN });
 }
 
 async function start() {
   log('Starting GSM2Blogger with Logo Replacement', { 
-    MODE, 
-    OPENAI_MODEL, 
-    GSMARENA_RSS,
-    CUSTOM_LOGO_PATH 
+    MODE: DRY_RUN ? 'preview' : MODE, 
+    PUBLISH_MODE,
+    LLM: llm.describe(), 
+    PROMPT_TEMPLATE,
+    FACT_CHECK_POLICY,
+    BUDGET: BUDGET.daily || BUDGET.monthly
+      ? `${[BUDGET.daily && `$${BUDGET.daily}/day`, BUDGET.monthly && `$${BUDGET.monthly}/month`].filter(Boolean).join(', ')}, then ${BUDGET.action}`
+      : 'none',
+    FEEDS_CONFIG: fs.existsSync(FEEDS_CONFIG) ? FEEDS_CONFIG : '(none, using GSMARENA_RSS)',
+    IMAGE_STORAGE: imageStore?.type || '(preview folder)',
+    SCHEDULE: scheduler.enabled
+      ? `${scheduler.config.slots.length} slots a day, at most ${scheduler.config.maxPerDay || 'unlimited'} posts a day per language`
+      : 'off (publish right away)',
+    TARGETS: Object.entries(TARGETS.targets).map(([name, t]) => `${name} (${t.type})`).join(', '),
+    CUSTOM_LOGO_PATH,
+    BRANDING: `${BRANDING_PRESET} (of ${Object.keys(BRANDING).join(', ')})`,
+    SOURCE_LOGO_PATH: fs.existsSync(SOURCE_LOGO_PATH) ? SOURCE_LOGO_PATH : '(none, watermark is not removed)'
   });
   
   // Check dependencies
@@ -474,19 +1101,120 @@ async function start() {
     log('Warning: Custom logo not found:', CUSTOM_LOGO_PATH);
   }
   
-  if (MODE === 'once') {
-    await processOnce();
+  if (DRY_RUN) {
+    log('Preview mode: nothing will be published or marked as posted. Output:', PREVIEW_DIR);
+    await processOnce('preview');
+    log('Finished preview run. Exiting.');
+    process.exit(0);
+  } else if (MODE === 'once') {
+    await runOnce('once');
     log('Finished single run. Exiting.');
     process.exit(0);
   } else {
+    runLog.recoverInterrupted();
+    if (ADMIN_PORT) await startAdmin();
     log('Scheduling cron:', POST_INTERVAL_CRON);
-    await processOnce();
-    cron.schedule(POST_INTERVAL_CRON, processOnce);
+    await runOnce('startup');
+    cron.schedule(POST_INTERVAL_CRON, () => runOnce('cron'));
     process.stdin.resume();
   }
 }
 
-start().catch(e => { 
+async function runCommand() {
+  if (COMMAND === 'review') {
+    const feeds = loadFeeds(FEEDS_CONFIG, { url: GSMARENA_RSS });
+    await runReviewCommand(reviewQueue, COMMAND_ARGS, FLAGS, {
+      publish: async (entry, { publishAt }) => {
+        // Updates of a published post (`node app.js update`) are updated in place
+        const updateExisting = !!entry.blogger_post_id
+          || publisher.results(entry.guid, entry.lang).some(r => r.status !== 'failed');
+        if (updateExisting && publishAt) throw new Error('Updates of published posts cannot be scheduled; approve them instead');
+        // An explicit time is booked as given; approved posts take the next
+        // free slot, like the ones published directly
+        const slotOf = { guid: entry.guid, lang: entry.lang, title: entry.title };
+        let when = null;
+        if (publishAt) {
+          when = scheduler.book(slotOf, publishAt);
+        } else if (!updateExisting && scheduler.enabled) {
+          when = scheduler.reserve(slotOf);
+          if (!when) {
+            throw new Error(`No free publishing slot in the next ${scheduler.config.horizonDays} days; use review schedule <id> <date>`);
+          }
+        }
+        const feed = feeds.find(f => f.name === entry.feed) || { name: entry.feed };
+        // The JSON-LD was dated when the post was queued
+        const goesOutAt = (when || new Date()).toISOString();
+        const html = setArticleDates(entry.html, updateExisting
+          ? { dateModified: goesOutAt }
+          : { datePublished: goesOutAt, dateModified: goesOutAt });
+        let results;
+        try {
+          results = await publisher.publish({
+            guid: entry.guid,
+            lang: entry.lang,
+            names: publisher.route({ feed, labels: entry.labels, lang: entry.lang }),
+            post: {
+              title: entry.title, html, labels: entry.labels, metaDescription: entry.meta_description, image: entry.image,
+              thumbnail: entry.thumbnail, slug: slugify(entry.title), language: entry.lang, blogId: entry.blog_id || BLOG_ID, publishAt: when
+            },
+            updateExisting,
+            bloggerPostId: entry.blogger_post_id
+          });
+        } catch (err) {
+          scheduler.release(entry.guid, entry.lang);
+          throw err;
+        }
+        if (when) scheduler.confirm(entry.guid, entry.lang);
+        return { ...primaryResult(results), publishAt: when };
+      }
+    });
+  } else if (COMMAND === 'admin') {
+    // Dashboard only: runs start from its "Run now" button
+    if (!ADMIN_PORT) throw new Error('Set ADMIN_PORT to serve the admin dashboard');
+    runLog.recoverInterrupted();
+    await startAdmin();
+  } else if (COMMAND === 'schedule') {
+    runScheduleCommand(scheduler);
+  } else if (COMMAND === 'usage') {
+    runUsageCommand(usage, { by: COMMAND_ARGS[0], days: parseInt(FLAGS.days || '30', 10) });
+  } else if (COMMAND === 'skips') {
+    runSkipsCommand(skipLog, COMMAND_ARGS, FLAGS, {
+      onForget: entry => LANGUAGES.forEach(language => {
+        const job = jobs.find(entry.guid, language.code);
+        if (job?.status === 'skipped') jobs.requeue(job.id);
+      })
+    });
+  } else if (COMMAND === 'jobs') {
+    runJobsCommand(jobs, COMMAND_ARGS);
+  } else if (COMMAND === 'sync') {
+    await runSyncCommand(db, blogger, FLAGS, { languages: LANGUAGES });
+  } else if (COMMAND === 'update') {
+    await runUpdateCommand(db, jobs, COMMAND_ARGS, FLAGS, {
+      // Same extraction as the fetch stage, so the hashes are comparable
+      fetchSourceText: async link => htmlToText((await fetchStage({ link }, { selectors: [], replaceLogo: null, specs: false })).fullContent)
+    });
+  } else if (COMMAND === 'cleanup') {
+    await runCleanupCommand(db, blogger, FLAGS, { languages: LANGUAGES });
+  } else if (COMMAND === 'prompts') {
+    // Templates on disk and how many posts each prompt version produced
+    for (const file of fs.readdirSync(PROMPTS_DIR).filter(f => /\.(md|txt)$/.test(f))) {
+      const template = loadPromptTemplate(file, PROMPTS_DIR);
+      console.log(`${template.version}${template.description ? `  ${template.description}` : ''}`);
+    }
+    console.log('');
+    const rows = db.prepare(`
+      SELECT prompt_version, lang, status, COUNT(*) AS posts, MAX(posted_at) AS last_used
+      FROM posted WHERE prompt_version IS NOT NULL
+      GROUP BY prompt_version, lang, status ORDER BY last_used DESC
+    `).all();
+    if (rows.length) console.table(rows);
+    else console.log('No posts recorded with a prompt version yet.');
+  } else {
+    throw new Error(`Unknown command "${COMMAND}". Available: review, jobs, skips, schedule, usage, admin, prompts, sync, update, cleanup`);
+  }
+}
+
+(COMMAND ? runCommand() : start()).catch(e => { 
   log('Fatal error:', e?.message || e); 
   process.exit(1); 
 });
@@ -0,0 +1,231 @@
+/**
+ * lib/admin/index.js
+ *
+ * Local admin dashboard (`dashboard.html`) and the JSON API behind it:
+ *
+ *   GET  /api/status                 mode, current run, job and post counts, spend
+ *   GET  /api/runs                   recent runs with their counters
+ *   GET  /api/jobs?status=dead       pipeline status per item and language
+ *   GET  /api/failed                 jobs waiting for a retry or dead-lettered
+ *   GET  /api/posts?lang=en          posted history with every target's URL
+ *   GET  /api/usage?by=feed          tokens and cost per day, feed, post or model
+ *   GET  /api/skips?rule=exclude     items left out by filters, blacklist or dedup, with the reason
+ *   GET  /api/blacklist              blacklisted source URLs
+ *   POST /api/run                    start a run now
+ *   POST /api/jobs/<id>/retry        put a job back in line
+ *   POST /api/blacklist              { url, note } never post matching sources
+ *   DELETE /api/blacklist/<id>
+ *
+ * With `token` set, API calls need `Authorization: Bearer <token>` (the
+ * dashboard reads it from `?token=` in its URL). POST and DELETE calls also
+ * need `Content-Type: application/json` and, when the browser sends one, an
+ * `Origin` of this server, so other web pages cannot start runs or edit the
+ * blacklist through the operator's browser.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { log } from '../util.js';
+
+const DASHBOARD = path.join(path.dirname(fileURLToPath(import.meta.url)), 'dashboard.html');
+const MAX_BODY = 64 * 1024;
+const JOB_COLUMNS = 'id, guid, link, lang, feed, title, stage, status, attempts, failed_stage, last_error, next_retry_at, created_at, updated_at';
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) reject(httpError(413, 'Request body too large'));
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(httpError(400, 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sameToken(given, token) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Cross-site forms cannot send JSON, and a cross-site fetch() with it needs a
+// CORS preflight this server never answers
+function checkSameOrigin(req) {
+  if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    throw httpError(415, 'POST and DELETE calls need Content-Type: application/json');
+  }
+  // curl sends no Origin; browsers always do on POST and DELETE
+  const origin = req.headers.origin;
+  if (origin && ![`http://${req.headers.host}`, `https://${req.headers.host}`].includes(origin)) {
+    throw httpError(403, 'Cross-origin request refused');
+  }
+}
+
+const limitOf = (query, fallback) => Math.min(Math.max(parseInt(query.get('limit') || fallback, 10) || fallback, 1), 500);
+
+/**
+ * The API handlers. `app` is supplied by app.js: { info(), isRunning(),
+ * triggerRun(), jobs, runs, blacklist, usage, skips }.
+ */
+function createRoutes(db, app) {
+  const jobCounts = () => Object.fromEntries(db.prepare('SELECT status, COUNT(*) AS n FROM jobs GROUP BY status').all().map(r => [r.status, r.n]));
+  const postCounts = () => Object.fromEntries(db.prepare('SELECT status, COUNT(*) AS n FROM posted GROUP BY status').all().map(r => [r.status, r.n]));
+  const hasTable = name => !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+
+  return {
+    'GET /api/status': () => ({
+      ...app.info(),
+      running: app.isRunning(),
+      lastRun: app.runs.list(1)[0] || null,
+      jobs: jobCounts(),
+      posts: postCounts(),
+      budget: app.usage.check()
+    }),
+
+    'GET /api/runs': ({ query }) => app.runs.list(limitOf(query, 20)),
+
+    'GET /api/jobs': ({ query }) => {
+      const status = query.get('status');
+      return status
+        ? db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE status = ? ORDER BY updated_at DESC LIMIT ?`).all(status, limitOf(query, 100))
+        : db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs ORDER BY updated_at DESC LIMIT ?`).all(limitOf(query, 100));
+    },
+
+    'GET /api/failed': ({ query }) => db.prepare(`
+      SELECT ${JOB_COLUMNS} FROM jobs WHERE status IN ('retry', 'dead') ORDER BY updated_at DESC LIMIT ?
+    `).all(limitOf(query, 100)),
+
+    'GET /api/posts': ({ query }) => {
+      const lang = query.get('lang');
+      const rows = db.prepare(`
+        SELECT id, guid, link, lang, title, post_title, status, posted_at, blogger_post_id, blogger_url, labels, prompt_version
+        FROM posted ${lang ? 'WHERE lang = @lang' : ''} ORDER BY id DESC LIMIT @limit
+      `).all({ lang, limit: limitOf(query, 50) });
+      const publications = hasTable('publications')
+        ? db.prepare('SELECT target, type, url, status, error FROM publications WHERE guid = ? AND lang = ? ORDER BY target')
+        : null;
+      return rows.map(row => ({
+        ...row,
+        labels: JSON.parse(row.labels || '[]'),
+        targets: publications ? publications.all(row.guid, row.lang) : []
+      }));
+    },
+
+    'GET /api/usage': ({ query }) => {
+      try {
+        return app.usage.report(query.get('by') || 'day', { days: parseInt(query.get('days') || '30', 10) || 30, limit: limitOf(query, 100) });
+      } catch (err) {
+        throw httpError(400, err.message);
+      }
+    },
+
+    'GET /api/skips': ({ query }) => app.skips.list({
+      rule: query.get('rule'),
+      days: parseInt(query.get('days') || '30', 10) || 30,
+      limit: limitOf(query, 50)
+    }),
+
+    'GET /api/blacklist': () => app.blacklist.list(),
+
+    'POST /api/run': () => {
+      if (app.isRunning()) throw httpError(409, 'A run is already in progress');
+      app.triggerRun();
+      return { started: true };
+    },
+
+    'POST /api/jobs/:id/retry': ({ params }) => {
+      const job = app.jobs.get(params.id);
+      if (!job) throw httpError(404, `No job #${params.id}`);
+      if (job.status === 'done') throw httpError(409, `Job #${params.id} is already done`);
+      const { data, source, ...updated } = app.jobs.requeue(job.id);
+      log(`Admin: job #${job.id} queued for retry`);
+      return updated;
+    },
+
+    'POST /api/blacklist': async ({ req }) => {
+      const { url, note } = await readJson(req);
+      let entry;
+      try {
+        entry = app.blacklist.add(url, note || null);
+      } catch (err) {
+        throw httpError(400, err.message);
+      }
+      log('Admin: blacklisted', entry.url);
+      return entry;
+    },
+
+    'DELETE /api/blacklist/:id': ({ params }) => {
+      if (!app.blacklist.remove(params.id)) throw httpError(404, `No blacklist entry #${params.id}`);
+      return { removed: true };
+    }
+  };
+}
+
+function findRoute(routes, method, pathname) {
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, pattern] = key.split(' ');
+    if (routeMethod !== method) continue;
+    const names = [];
+    const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '(\\d+)';
+    })}$`);
+    const match = pathname.match(regex);
+    if (match) return { handler, params: Object.fromEntries(names.map((name, i) => [name, parseInt(match[i + 1], 10)])) };
+  }
+  return null;
+}
+
+/** Starts the server and resolves once it listens. */
+export function startAdminServer(db, app, { port, host = '127.0.0.1', token = '' }) {
+  const routes = createRoutes(db, app);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body, type = 'application/json') => {
+      res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Cache-Control': 'no-store' });
+      res.end(type === 'application/json' ? JSON.stringify(body) : body);
+    };
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/') {
+        send(200, fs.readFileSync(DASHBOARD, 'utf8'), 'text/html');
+        return;
+      }
+      const route = findRoute(routes, req.method, url.pathname);
+      if (!route) throw httpError(404, 'Not found');
+      if (token && !sameToken((req.headers.authorization || '').replace(/^Bearer\s+/i, ''), token)) {
+        throw httpError(401, 'Missing or wrong token');
+      }
+      if (req.method !== 'GET') checkSameOrigin(req);
+      send(200, await route.handler({ req, query: url.searchParams, params: route.params }));
+    } catch (err) {
+      if (!err.status) log('Admin API error:', req.method, url.pathname, err?.message || err);
+      send(err.status || 500, { error: err.message || String(err) });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      log(`Admin dashboard: http://${host}:${port}/${token ? ' (token required)' : ''}`);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,40 @@
+/**
+ * lib/blacklist.js
+ *
+ * Source URLs that are never posted. An entry matches a link equal to it or
+ * starting with it, so a whole section (`https://example.com/sponsored/`)
+ * can be blocked at once.
+ */
+
+export function createBlacklist(db) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS source_blacklist (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL UNIQUE,
+      note TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  return {
+    /** The entry `link` falls under, or null. */
+    match(link) {
+      if (!link) return null;
+      return db.prepare('SELECT * FROM source_blacklist WHERE ? = url OR substr(?, 1, length(url)) = url').get(link, link) || null;
+    },
+
+    add(url, note = null) {
+      if (!/^https?:\/\//i.test(String(url || ''))) throw new Error('Only http(s) URLs can be blacklisted');
+      db.prepare('INSERT OR IGNORE INTO source_blacklist (url, note) VALUES (?, ?)').run(url, note);
+      return db.prepare('SELECT * FROM source_blacklist WHERE url = ?').get(url);
+    },
+
+    remove(id) {
+      return db.prepare('DELETE FROM source_blacklist WHERE id = ?').run(id).changes > 0;
+    },
+
+    list() {
+      return db.prepare('SELECT * FROM source_blacklist ORDER BY id DESC').all();
+    }
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * lib/branding.js
+ *
+ * Branding presets for lead images: where the logo goes and how big and
+ * opaque it is, an optional text strip (site name / URL), an optional frame,
+ * and the output format. Presets are read from BRANDING_CONFIG and picked per
+ * feed with `branding: "<preset>"`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import sharp from 'sharp';
+import { escapeHtml } from './util.js';
+
+const ANCHORS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const FORMATS = ['jpeg', 'webp', 'avif', 'png'];
+
+export const FORMAT_EXTENSIONS = { jpeg: 'jpg', webp: 'webp', avif: 'avif', png: 'png' };
+
+// What replaceGSMArenaLogo() always did, now the default preset
+const BASE_PRESET = {
+  logo: null,
+  anchor: 'bottom-right',
+  margin: 20,
+  scale: 0.15,
+  opacity: 1,
+  text: null,
+  frame: null,
+  format: 'jpeg',
+  quality: 90
+};
+
+function normalizePreset(name, preset, defaults) {
+  const merged = { ...BASE_PRESET, ...defaults, ...preset, name };
+  if (!ANCHORS.includes(merged.anchor)) {
+    throw new Error(`Branding preset "${name}": anchor must be one of ${ANCHORS.join(', ')}`);
+  }
+  merged.format = String(merged.format).toLowerCase().replace('jpg', 'jpeg');
+  if (!FORMATS.includes(merged.format)) {
+    throw new Error(`Branding preset "${name}": format must be one of ${FORMATS.join(', ')}`);
+  }
+  merged.opacity = Math.min(1, Math.max(0, Number(merged.opacity)));
+  // A string is shorthand for a strip with default styling
+  if (typeof merged.text === 'string') merged.text = { content: merged.text };
+  if (merged.frame === true) merged.frame = {};
+  return merged;
+}
+
+/**
+ * Reads BRANDING_CONFIG (JSON or YAML): `{ presets: { name: {...} } }` or the
+ * presets map itself. A `default` preset always exists; presets without a
+ * `logo` use `defaults.logo` (CUSTOM_LOGO_PATH).
+ */
+export function loadBrandingPresets(configPath, defaults = {}) {
+  let presets = {};
+  if (configPath && fs.existsSync(configPath)) {
+    const raw = fs.readFileSync(configPath, 'utf8');
+    const ext = path.extname(configPath).toLowerCase();
+    const parsed = (ext === '.yaml' || ext === '.yml') ? YAML.parse(raw) : JSON.parse(raw);
+    presets = parsed?.presets || parsed || {};
+    if (typeof presets !== 'object' || Array.isArray(presets)) {
+      throw new Error(`Branding config ${configPath} must map preset names to settings`);
+    }
+  }
+
+  const result = { default: normalizePreset('default', presets.default || {}, defaults) };
+  for (const [name, preset] of Object.entries(presets)) {
+    if (name !== 'default') result[name] = normalizePreset(name, preset, defaults);
+  }
+  return result;
+}
+
+function place(anchor, box, item, margin) {
+  const [vertical, horizontal] = anchor.includes('-') ? anchor.split('-')
+    : ['top', 'bottom'].includes(anchor) ? [anchor, 'center']
+      : ['center', anchor === 'center' ? 'center' : anchor];
+
+  const left = horizontal === 'left' ? margin
+    : horizontal === 'right' ? box.width - item.width - margin
+      : Math.round((box.width - item.width) / 2);
+  const top = vertical === 'top' ? box.top + margin
+    : vertical === 'bottom' ? box.top + box.height - item.height - margin
+      : box.top + Math.round((box.height - item.height) / 2);
+  return { left: Math.max(0, left), top: Math.max(0, top) };
+}
+
+async function logoLayer(logoPath, preset, width) {
+  const logoMeta = await sharp(logoPath).metadata();
+  const logoWidth = Math.max(1, Math.floor(width * preset.scale));
+  // Height follows the logo's own aspect ratio, not the photo's
+  const logoHeight = Math.max(1, Math.round((logoWidth * logoMeta.height) / logoMeta.width));
+
+  const { data, info } = await sharp(logoPath)
+    .resize(logoWidth, logoHeight)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  if (preset.opacity < 1) {
+    for (let i = 3; i < data.length; i += 4) data[i] = Math.round(data[i] * preset.opacity);
+  }
+  const input = await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+  return { input, width: info.width, height: info.height };
+}
+
+function textStrip(text, width, height) {
+  const stripHeight = Math.max(18, Math.round(height * (text.height || 0.07)));
+  const fontSize = Math.round(stripHeight * 0.55);
+  const align = text.align || 'center';
+  const x = align === 'left' ? stripHeight / 2 : align === 'right' ? width - stripHeight / 2 : width / 2;
+  const anchor = align === 'left' ? 'start' : align === 'right' ? 'end' : 'middle';
+  const svg = `<svg width="${width}" height="${stripHeight}" xmlns="http://www.w3.org/2000/svg">
+  <rect width="100%" height="100%" fill="${escapeHtml(text.background || '#000000')}" fill-opacity="${text.opacity ?? 0.6}"/>
+  <text x="${x}" y="${Math.round(stripHeight * 0.68)}" text-anchor="${anchor}" font-family="${escapeHtml(text.font || 'sans-serif')}"
+        font-size="${fontSize}" font-weight="bold" fill="${escapeHtml(text.color || '#ffffff')}">${escapeHtml(text.content)}</text>
+</svg>`;
+  return { input: Buffer.from(svg), height: stripHeight, position: text.position === 'top' ? 'top' : 'bottom' };
+}
+
+/**
+ * Applies `preset` to `imageBuffer`. Resolves to { buffer, format }, where
+ * `format` is the preset's output format (jpeg, webp, avif or png).
+ */
+export async function applyBranding(imageBuffer, preset) {
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const layers = [];
+  // Free area for the logo; a text strip takes its band off it
+  const box = { top: 0, height, width };
+
+  if (preset.text?.content) {
+    const strip = textStrip(preset.text, width, height);
+    const top = strip.position === 'top' ? 0 : height - strip.height;
+    layers.push({ input: strip.input, left: 0, top });
+    box.height -= strip.height;
+    if (strip.position === 'top') box.top = strip.height;
+  }
+
+  if (preset.logo && fs.existsSync(preset.logo)) {
+    const logo = await logoLayer(preset.logo, preset, width);
+    layers.push({ input: logo.input, ...place(preset.anchor, box, logo, preset.margin) });
+  }
+
+  let image = sharp(imageBuffer).composite(layers);
+  if (preset.frame) {
+    // Composite first, so the frame does not shift the layer positions
+    image = sharp(await image.png().toBuffer()).extend({
+      top: preset.frame.width ?? 8,
+      bottom: preset.frame.width ?? 8,
+      left: preset.frame.width ?? 8,
+      right: preset.frame.width ?? 8,
+      background: preset.frame.color || '#ffffff'
+    });
+  }
+
+  const buffer = await image.toFormat(preset.format, { quality: preset.quality }).toBuffer();
+  return { buffer, format: preset.format };
+}
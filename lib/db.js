@@ -0,0 +1,33 @@
+/**
+ * lib/db.js
+ *
+ * Schema helpers for the SQLite database opened in app.js
+ */
+
+/**
+ * SQLite has no `ADD COLUMN IF NOT EXISTS`, so older databases are migrated
+ * by checking the table info first.
+ */
+export function addColumnIfMissing(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+  }
+}
+
+/**
+ * Recreates `table` from `createSql`, copying `columns` across. Used when a
+ * UNIQUE constraint changes, which ALTER TABLE cannot do in SQLite.
+ */
+export function rebuildTable(db, table, createSql, columns) {
+  const cols = columns.join(', ');
+  db.transaction(() => {
+    db.prepare(`ALTER TABLE ${table} RENAME TO ${table}_old`).run();
+    db.prepare(createSql).run();
+    db.prepare(`INSERT INTO ${table} (${cols}) SELECT ${cols} FROM ${table}_old`).run();
+    db.prepare(`DROP TABLE ${table}_old`).run();
+  })();
+}
+
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
@@ -0,0 +1,139 @@
+/**
+ * lib/dedup.js
+ *
+ * Content-similarity duplicate check. Exact guid/link matches are handled by
+ * the `posted` table; this catches the same story arriving from another feed
+ * or under a new URL. Every published item leaves a fingerprint (normalized
+ * title + MinHash signature of its body) in the `fingerprints` table, and new
+ * items are compared against the fingerprints of the last few days.
+ */
+
+import { htmlToText } from './extractors/common.js';
+
+const NUM_HASHES = 128;
+const SHINGLE_SIZE = 3;
+// Below this many shingles the body says too little to compare
+const MIN_SHINGLES = 20;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+  'new', 'now', 'of', 'on', 'or', 'the', 'this', 'to', 'with', 'will', 'gets', 'get', 'here', 'your'
+]);
+
+function tokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t && !STOPWORDS.has(t));
+}
+
+export function normalizeTitle(title) {
+  return tokens(title).join(' ');
+}
+
+// FNV-1a, 32 bit
+function hash32(str, seed = 0x811c9dc5) {
+  let h = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * MinHash signature over word shingles. The NUM_HASHES hash functions are
+ * derived from two base hashes (h1 + i * h2), which is accurate enough for
+ * Jaccard estimates and much cheaper than NUM_HASHES real hashes.
+ */
+function minHash(words) {
+  if (words.length < SHINGLE_SIZE + MIN_SHINGLES - 1) return null;
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  const seen = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    if (seen.has(shingle)) continue;
+    seen.add(shingle);
+    const h1 = hash32(shingle);
+    const h2 = hash32(shingle, 0x9747b28c) | 1;
+    for (let k = 0; k < NUM_HASHES; k++) {
+      const h = (h1 + Math.imul(k, h2)) >>> 0;
+      if (h < signature[k]) signature[k] = h;
+    }
+  }
+  return signature;
+}
+
+function signatureSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+function titleSimilarity(a, b) {
+  const setA = new Set(a.split(' ').filter(Boolean));
+  const setB = new Set(b.split(' ').filter(Boolean));
+  if (!setA.size || !setB.size) return 0;
+  let shared = 0;
+  for (const t of setA) if (setB.has(t)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Builds the fingerprint of an item from its title and body (HTML or text).
+ */
+export function fingerprint({ title, body }) {
+  return {
+    title: normalizeTitle(title),
+    minhash: minHash(tokens(htmlToText(body || '')))
+  };
+}
+
+export function createDedupIndex(db, { threshold = 0.5, titleThreshold = 0.8, windowDays = 14 } = {}) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS fingerprints (
+      guid TEXT PRIMARY KEY,
+      link TEXT,
+      feed TEXT,
+      title TEXT,
+      norm_title TEXT,
+      minhash TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  return {
+    /**
+     * Returns the closest earlier item ({ guid, link, title, similarity, by })
+     * whose body or title similarity reaches its threshold, or null.
+     */
+    findDuplicate(fp, { guid } = {}) {
+      const rows = db.prepare(`
+        SELECT * FROM fingerprints WHERE created_at >= datetime('now', ?) AND guid != ?
+      `).all(`-${windowDays} days`, guid || '');
+
+      let best = null;
+      for (const row of rows) {
+        const body = signatureSimilarity(fp.minhash, row.minhash ? JSON.parse(row.minhash) : null);
+        const heading = titleSimilarity(fp.title, row.norm_title || '');
+        const match = body >= threshold ? { similarity: body, by: 'body' }
+          : heading >= titleThreshold ? { similarity: heading, by: 'title' }
+            : null;
+        if (match && (!best || match.similarity > best.similarity)) {
+          best = { guid: row.guid, link: row.link, title: row.title, ...match };
+        }
+      }
+      return best;
+    },
+
+    remember({ guid, link, feed, title }, fp) {
+      db.prepare(`
+        INSERT OR IGNORE INTO fingerprints (guid, link, feed, title, norm_title, minhash)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(guid, link || null, feed || null, title, fp.title, fp.minhash ? JSON.stringify(fp.minhash) : null);
+    }
+  };
+}
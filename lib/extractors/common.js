@@ -0,0 +1,176 @@
+/**
+ * lib/extractors/common.js
+ *
+ * Cheerio helpers shared by the site extractors
+ */
+
+import * as cheerio from 'cheerio';
+
+const JUNK_SELECTORS = 'script, style, noscript, iframe, form, button, svg, ins, .ad, .ads, [class*="advert"], [class*="share"], [class*="social"]';
+
+export function absoluteUrl(src, baseUrl) {
+  if (!src) return null;
+  try {
+    return new URL(src.trim(), baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Plain text of an HTML fragment, with block elements separated by spaces.
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  const spaced = String(html).replace(/<\/(p|div|h[1-6]|li|tr|td|th|figcaption|blockquote)>|<br\s*\/?>/gi, '$& ');
+  return cleanText(cheerio.load(spaced).text());
+}
+
+export function metaContent($, ...names) {
+  for (const name of names) {
+    const value = $(`meta[property="${name}"]`).attr('content') || $(`meta[name="${name}"]`).attr('content');
+    if (value) return value.trim();
+  }
+  return null;
+}
+
+/**
+ * Returns the first NewsArticle/Article-like object found in the page's
+ * JSON-LD blocks, or null.
+ */
+export function jsonLdArticle($) {
+  let found = null;
+  $('script[type="application/ld+json"]').each((_, el) => {
+    if (found) return;
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const nodes = [].concat(data['@graph'] || data);
+      found = nodes.find(n => /Article|BlogPosting/.test([].concat(n?.['@type']).join(' '))) || null;
+    } catch (e) {
+      // broken JSON-LD is common, ignore it
+    }
+  });
+  return found;
+}
+
+function ldAuthor(ld) {
+  const author = [].concat(ld?.author || [])[0];
+  if (!author) return null;
+  return typeof author === 'string' ? author : author.name || null;
+}
+
+export function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+export function findAuthor($, selectors = []) {
+  for (const selector of selectors) {
+    const text = cleanText($(selector).first().text());
+    if (text) return text;
+  }
+  return metaContent($, 'author', 'article:author', 'parsely-author') || ldAuthor(jsonLdArticle($));
+}
+
+export function findPublishDate($, selectors = []) {
+  for (const selector of selectors) {
+    const el = $(selector).first();
+    const date = toIsoDate(el.attr('datetime') || cleanText(el.text()));
+    if (date) return date;
+  }
+  return toIsoDate(metaContent($, 'article:published_time', 'datePublished', 'pubdate'))
+    || toIsoDate($('time[datetime]').first().attr('datetime'))
+    || toIsoDate(jsonLdArticle($)?.datePublished);
+}
+
+/**
+ * Collects every image inside `$root` with its caption. Lazy-load attributes
+ * are preferred over `src`, which is often a placeholder.
+ */
+export function collectImages($, $root, baseUrl) {
+  const images = [];
+  const seen = new Set();
+
+  $root.find('img').each((_, el) => {
+    const $img = $(el);
+    const src = absoluteUrl($img.attr('data-src') || $img.attr('data-original') || $img.attr('src'), baseUrl);
+    if (!src || src.startsWith('data:') || seen.has(src)) return;
+    seen.add(src);
+
+    const $figure = $img.closest('figure');
+    let caption = cleanText($figure.find('figcaption').first().text());
+    if (!caption) {
+      // caption right after the image, or after the <a>/<p> that only wraps it
+      let $holder = $img;
+      while ($holder.parent().is('a, p') && $holder.parent().children().length === 1) $holder = $holder.parent();
+      const $next = $holder.next();
+      if (/caption/i.test($next.attr('class') || '')) caption = cleanText($next.text());
+    }
+
+    images.push({
+      src,
+      alt: cleanText($img.attr('alt')),
+      caption: caption || null,
+      width: parseInt($img.attr('width'), 10) || null,
+      height: parseInt($img.attr('height'), 10) || null
+    });
+  });
+
+  return images;
+}
+
+/**
+ * Turns every <table> inside `$root` into `{ caption, rows: [{ group, name, value }] }`.
+ * Rows without a label/value pair are skipped.
+ */
+export function collectSpecTables($, $root) {
+  const tables = [];
+
+  $root.find('table').each((_, table) => {
+    const $table = $(table);
+    const rows = [];
+    let group = null;
+
+    $table.find('tr').each((__, tr) => {
+      const cells = $(tr).children('th, td').map((___, c) => cleanText($(c).text())).get();
+      if (cells.length === 1 && cells[0]) {
+        group = cells[0];
+      } else if (cells.length >= 3) {
+        // GSMArena style: <th rowspan> group, then label and value cells
+        if (cells[0]) group = cells[0];
+        if (cells[1] || cells[2]) rows.push({ group, name: cells[1], value: cells[2] });
+      } else if (cells.length === 2 && cells[1]) {
+        rows.push({ group, name: cells[0], value: cells[1] });
+      }
+    });
+
+    if (rows.length) {
+      tables.push({ caption: cleanText($table.find('caption').first().text()) || null, rows });
+    }
+  });
+
+  return tables;
+}
+
+/**
+ * Strips scripts, ads and share widgets from `$root` and rewrites relative
+ * image/link URLs so the HTML stands on its own.
+ */
+export function cleanBody($, $root, baseUrl) {
+  $root.find(JUNK_SELECTORS).remove();
+  $root.find('img').each((_, el) => {
+    const $img = $(el);
+    const src = absoluteUrl($img.attr('data-src') || $img.attr('data-original') || $img.attr('src'), baseUrl);
+    if (src) $img.attr('src', src);
+  });
+  $root.find('a[href]').each((_, el) => {
+    const href = absoluteUrl($(el).attr('href'), baseUrl);
+    if (href) $(el).attr('href', href);
+  });
+  return $root;
+}
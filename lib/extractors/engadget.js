@@ -0,0 +1,16 @@
+/**
+ * lib/extractors/engadget.js
+ *
+ * Engadget articles (old o-article-blocks layout and the current caas-body one)
+ */
+
+import { selectorExtractor } from './selector.js';
+
+export default selectorExtractor({
+  name: 'engadget',
+  domains: ['engadget.com'],
+  bodySelectors: ['div.caas-body', 'div.o-article-blocks', 'article [data-article-body]'],
+  authorSelectors: ['.caas-author-byline-collapse a', '[data-component="AuthorByline"] a', 'a[rel="author"]'],
+  dateSelectors: ['.caas-attr-time-style time', 'time[datetime]'],
+  removeSelectors: ['.caas-readmore', '.caas-da', '[data-component="Commerce"]']
+});
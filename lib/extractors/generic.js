@@ -0,0 +1,64 @@
+/**
+ * lib/extractors/generic.js
+ *
+ * Readability-style fallback for sites without their own extractor: scores
+ * every block by the paragraphs it contains and keeps the best one.
+ */
+
+import { cleanBody, cleanText, collectImages, collectSpecTables, findAuthor, findPublishDate } from './common.js';
+
+const NOISE = 'script, style, noscript, nav, header, footer, aside, form, [role="navigation"], [role="complementary"], .comments, #comments';
+const MIN_PARAGRAPH_LENGTH = 25;
+
+function paragraphScore(text) {
+  return 1 + (text.split(',').length - 1) + Math.min(Math.floor(text.length / 100), 3);
+}
+
+function linkDensity($, el) {
+  const textLength = cleanText($(el).text()).length || 1;
+  const linkLength = $(el).find('a').map((_, a) => cleanText($(a).text())).get().join('').length;
+  return linkLength / textLength;
+}
+
+export default {
+  name: 'generic',
+  domains: [],
+  extract($, { url }) {
+    const $scope = $('article').length === 1 ? $('article') : $('body');
+    $scope.find(NOISE).remove();
+
+    const scores = new Map();
+    const addScore = (el, score) => {
+      if (!el || el.type !== 'tag') return;
+      scores.set(el, (scores.get(el) || 0) + score);
+    };
+
+    $scope.find('p').each((_, p) => {
+      const text = cleanText($(p).text());
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+      const score = paragraphScore(text);
+      addScore(p.parent, score);
+      addScore(p.parent?.parent, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - linkDensity($, el));
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    }
+    if (!best) return null;
+
+    const $root = cleanBody($, $(best), url);
+    return {
+      bodyHtml: $root.html().trim(),
+      images: collectImages($, $root, url),
+      specTables: collectSpecTables($, $root),
+      author: findAuthor($),
+      publishedAt: findPublishDate($)
+    };
+  }
+};
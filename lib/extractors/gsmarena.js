@@ -0,0 +1,16 @@
+/**
+ * lib/extractors/gsmarena.js
+ *
+ * GSMArena news and review pages
+ */
+
+import { selectorExtractor } from './selector.js';
+
+export default selectorExtractor({
+  name: 'gsmarena',
+  domains: ['gsmarena.com'],
+  bodySelectors: ['div.article-body', '#review-body', 'div.review-body'],
+  authorSelectors: ['.article-info-line .author', 'a.author-name', '[itemprop="author"]'],
+  dateSelectors: ['.article-info-line .dtreviewed', 'time[datetime]', '[itemprop="datePublished"]'],
+  removeSelectors: ['.article-tags', '.article-gallery-teaser', '#user-comments', '.sponsored']
+});
@@ -0,0 +1,75 @@
+/**
+ * lib/extractors/index.js
+ *
+ * Site extractor registry. Each extractor is `{ name, domains, extract($, ctx) }`
+ * and returns the article body plus its images, spec tables, author and date.
+ * Extractors only see the HTML string and the page URL, so they can be run
+ * against saved pages.
+ */
+
+import * as cheerio from 'cheerio';
+import { absoluteUrl, cleanText, htmlToText, metaContent } from './common.js';
+import { selectorExtractor } from './selector.js';
+import gsmarena from './gsmarena.js';
+import engadget from './engadget.js';
+import generic from './generic.js';
+
+const extractors = [];
+
+export function registerExtractor(extractor) {
+  if (!extractor?.name || typeof extractor.extract !== 'function') {
+    throw new Error('Extractor needs a name and an extract($, ctx) function');
+  }
+  extractors.push(extractor);
+}
+
+export function findExtractor(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+  return extractors.find(ex => ex.domains.some(d => host === d || host.endsWith(`.${d}`))) || null;
+}
+
+/**
+ * Extracts the main article from `html`. Tries the feed's own `selectors`
+ * first, then the extractor registered for the URL's domain, then the
+ * generic fallback.
+ *
+ * Returns null or:
+ *   { extractor, title, bodyHtml, text, images: [{ src, alt, caption }],
+ *     specTables: [{ caption, rows }], author, publishedAt, leadImage }
+ */
+export function extractArticle(html, url, { selectors = [] } = {}) {
+  if (!html) return null;
+  const $ = cheerio.load(html);
+
+  const chain = [
+    selectors.length ? selectorExtractor({ name: 'feed-selectors', bodySelectors: selectors }) : null,
+    findExtractor(url),
+    generic
+  ].filter(Boolean);
+
+  const title = metaContent($, 'og:title') || cleanText($('h1').first().text()) || cleanText($('title').text()) || null;
+  const ogImage = absoluteUrl(metaContent($, 'og:image', 'twitter:image'), url);
+
+  for (const extractor of chain) {
+    const result = extractor.extract($, { url });
+    if (!result?.bodyHtml) continue;
+
+    return {
+      extractor: extractor.name,
+      title,
+      ...result,
+      text: htmlToText(result.bodyHtml),
+      leadImage: ogImage || result.images[0]?.src || null
+    };
+  }
+
+  return null;
+}
+
+registerExtractor(gsmarena);
+registerExtractor(engadget);
@@ -0,0 +1,34 @@
+/**
+ * lib/extractors/selector.js
+ *
+ * Builds an extractor from plain CSS selectors. Site extractors and the
+ * per-feed `selectors` option are both made with this.
+ */
+
+import { cleanBody, collectImages, collectSpecTables, findAuthor, findPublishDate, cleanText } from './common.js';
+
+export function selectorExtractor({ name, domains = [], bodySelectors, authorSelectors = [], dateSelectors = [], removeSelectors = [] }) {
+  return {
+    name,
+    domains,
+    extract($, { url }) {
+      for (const selector of bodySelectors) {
+        const $root = $(selector).first();
+        if (!$root.length) continue;
+
+        if (removeSelectors.length) $root.find(removeSelectors.join(', ')).remove();
+        cleanBody($, $root, url);
+        if (!cleanText($root.text()) && !$root.find('img').length) continue;
+
+        return {
+          bodyHtml: $root.html().trim(),
+          images: collectImages($, $root, url),
+          specTables: collectSpecTables($, $root),
+          author: findAuthor($, authorSelectors),
+          publishedAt: findPublishDate($, dateSelectors)
+        };
+      }
+      return null;
+    }
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * lib/factcheck.js
+ *
+ * Checks a rewrite against its source before it is published: numbers,
+ * prices, dates and model names in the rewrite that the source (or the
+ * device specs) never mention, plus length, tag balance and leftover links
+ * or code fences. app.js decides from FACT_CHECK_POLICY what a failed check
+ * means.
+ */
+
+import { htmlToText } from './extractors/common.js';
+
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const CURRENCY = '[$€£₹¥]|\\b(?:usd|eur|gbp|inr|pkr|cny|rmb|rs\\.?)';
+const UNIT = 'mah|mp|ghz|mhz|hz|gb|tb|mm|nm|w|inch(?:es)?|in|"|fps|nits|%|k|g|x';
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'meta', 'link', 'input', 'source', 'wbr', 'col', 'area', 'base', 'track', 'embed']);
+
+// Arabic-Indic and Persian digits (Urdu/Arabic rewrites) as ASCII, thousands
+// separators dropped, so "١٬٢٩٩" and "1,299" both read 1299
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/(\d)[,٬](?=\d{3}\b)/g, '$1')
+    .toLowerCase();
+}
+
+const numberKey = value => String(parseFloat(value));
+
+/**
+ * The checkable values in `text`: `numbers` (every number, for lookups),
+ * `claims` (numbers with a unit or currency, and numbers of 10 or more),
+ * `years`, `dates` ("oct 25") and `models` (letter+digit codes like S25 or
+ * SM8750).
+ */
+export function extractFacts(text) {
+  const plain = normalizeText(text);
+  const numbers = new Set();
+  const claims = new Map();
+  const years = new Set();
+  const dates = new Set();
+  const models = new Set();
+
+  for (const [, value] of plain.matchAll(/(\d+(?:\.\d+)?)/g)) numbers.add(numberKey(value));
+
+  for (const [match, value] of plain.matchAll(new RegExp(`(?:${CURRENCY})\\s?(\\d+(?:\\.\\d+)?)`, 'g'))) {
+    claims.set(numberKey(value), match.trim());
+  }
+  for (const [match, value] of plain.matchAll(new RegExp(`(\\d+(?:\\.\\d+)?)\\s?-?(?:${UNIT})(?![a-z])`, 'g'))) {
+    if (!claims.has(numberKey(value))) claims.set(numberKey(value), match.trim());
+  }
+  for (const [match, value] of plain.matchAll(/(?<!\w|\d\.)(\d+(?:\.\d+)?)(?!\w|\.\d)/g)) {
+    const n = parseFloat(value);
+    const isYear = /^(19|20)\d{2}$/.test(value);
+    if (isYear) years.add(value);
+    else if ((n >= 10 || value.includes('.')) && !claims.has(numberKey(value))) claims.set(numberKey(value), match);
+  }
+
+  for (const [, month, day] of plain.matchAll(new RegExp(`\\b${MONTH}\\s+(\\d{1,2})\\b`, 'g'))) {
+    dates.add(`${month} ${parseInt(day, 10)}`);
+  }
+  for (const [, day, month] of plain.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}`, 'g'))) {
+    dates.add(`${month} ${parseInt(day, 10)}`);
+  }
+
+  for (const [token] of plain.matchAll(/\b(?=[a-z]*\d)(?=\d*[a-z])[a-z0-9]{2,}\b/g)) {
+    // Units ("200mp", "5g") and ordinals ("2nd") are not models
+    if (new RegExp(`^\\d+(?:\\.\\d+)?(?:${UNIT})$`).test(token) || /^\d+(st|nd|rd|th)$/.test(token)) continue;
+    models.add(token);
+  }
+
+  return { numbers, claims, years, dates, models };
+}
+
+/**
+ * Values in `rewrite` that do not appear in `source`. Numbers are compared
+ * by value, so units and currency symbols may be translated or reworded.
+ */
+export function findUnsupported(rewrite, source) {
+  const ours = extractFacts(rewrite);
+  const theirs = extractFacts(source);
+  const sourceText = normalizeText(source);
+  const unsupported = [];
+
+  for (const [value, label] of ours.claims) {
+    if (!theirs.numbers.has(value)) unsupported.push(label);
+  }
+  for (const year of ours.years) {
+    if (!theirs.years.has(year)) unsupported.push(year);
+  }
+  for (const date of ours.dates) {
+    if (!theirs.dates.has(date)) unsupported.push(date[0].toUpperCase() + date.slice(1));
+  }
+  for (const model of ours.models) {
+    if (!sourceText.includes(model)) unsupported.push(model.toUpperCase());
+  }
+  return unsupported;
+}
+
+/** Tags left open or closed without being opened, e.g. ["<p> not closed"]. */
+export function htmlProblems(html) {
+  const stack = [];
+  const problems = [];
+  for (const [, closing, name, selfClosing] of String(html || '').matchAll(/<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>/gi)) {
+    const tag = name.toLowerCase();
+    if (VOID_TAGS.has(tag) || selfClosing) continue;
+    if (!closing) {
+      stack.push(tag);
+    } else if (stack.includes(tag)) {
+      while (stack.length && stack[stack.length - 1] !== tag) problems.push(`<${stack.pop()}> not closed`);
+      stack.pop();
+    } else {
+      problems.push(`stray </${tag}>`);
+    }
+  }
+  return [...problems, ...stack.reverse().map(tag => `<${tag}> not closed`)];
+}
+
+/**
+ * Runs every check on a generated article ({ html, seoTitle,
+ * metaDescription, faq }) against the source text (title, snippet, body and
+ * grounding facts). Returns { ok, unsupported, problems }; `problems`
+ * holds one readable line per failed check.
+ */
+export function checkArticle(generated, source, { minWords = 300, tolerance = 0 } = {}) {
+  const text = htmlToText(generated.html);
+  const rewrite = [
+    generated.seoTitle,
+    generated.metaDescription,
+    text,
+    ...(generated.faq || []).map(({ question, answer }) => `${question} ${answer}`)
+  ].join('\n');
+  const unsupported = [...new Set(findUnsupported(rewrite, source))];
+
+  const problems = [];
+  if (unsupported.length > tolerance) problems.push(`values not in the source: ${unsupported.join(', ')}`);
+  const words = text.split(/\s+/).filter(Boolean).length;
+  if (words < minWords) problems.push(`too short: ${words} words (minimum ${minWords})`);
+  const tags = htmlProblems(generated.html);
+  if (tags.length) problems.push(`invalid HTML: ${tags.slice(0, 5).join(', ')}`);
+  if (/<a\s[^>]*href/i.test(generated.html)) problems.push('contains links');
+  if (/```|\.\.\.\s*html/i.test(generated.html)) problems.push('contains code fences');
+
+  return { ok: !problems.length, unsupported, problems };
+}
@@ -0,0 +1,117 @@
+/**
+ * lib/feeds.js
+ *
+ * Feed configuration (JSON/YAML) and multi-feed item collection
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { log } from './util.js';
+
+/**
+ * Reads the feeds config file. Without one, falls back to a single feed
+ * built from GSMARENA_RSS / MAX_ITEMS_PER_RUN so old .env setups keep working.
+ */
+export function loadFeeds(configPath, defaults = {}) {
+  if (configPath && fs.existsSync(configPath)) {
+    const raw = fs.readFileSync(configPath, 'utf8');
+    const ext = path.extname(configPath).toLowerCase();
+    const parsed = (ext === '.yaml' || ext === '.yml') ? YAML.parse(raw) : JSON.parse(raw);
+    const list = Array.isArray(parsed) ? parsed : parsed?.feeds;
+    if (!Array.isArray(list)) {
+      throw new Error(`Feeds config ${configPath} must be a list or contain a "feeds" list`);
+    }
+    return list.map((feed, i) => normalizeFeed(feed, i, defaults));
+  }
+
+  if (!defaults.url) return [];
+  return [normalizeFeed({ name: 'default', url: defaults.url }, 0, defaults)];
+}
+
+function normalizeFeed(feed, index, defaults) {
+  if (!feed?.url) throw new Error(`Feed #${index + 1} in feeds config has no url`);
+
+  return {
+    ...feed,
+    name: feed.name || `feed-${index + 1}`,
+    url: feed.url,
+    enabled: feed.enabled !== false,
+    maxItems: parseInt(feed.maxItems ?? defaults.maxItems ?? 1, 10) || 1,
+    labels: Array.isArray(feed.labels) ? feed.labels : [],
+    // Optional CSS selectors tried before the site extractor for this domain
+    selectors: Array.isArray(feed.selectors) ? feed.selectors : [],
+    // null = decide from the source domain, like before
+    replaceLogo: typeof feed.replaceLogo === 'boolean' ? feed.replaceLogo : null
+  };
+}
+
+function itemDate(item) {
+  return Date.parse(item.isoDate || item.pubDate || '') || 0;
+}
+
+export function itemGuid(item) {
+  return item.guid || item.link || item.id || item.title;
+}
+
+/**
+ * Fetches every enabled feed, drops items that were already posted (or that
+ * another feed already contributed), keeps the newest `maxItems` per feed and
+ * returns the merged list oldest-first so posts go out in publish order.
+ * `accept(entry)` may turn items down (filter rules) before they take a place.
+ */
+export async function collectFeedItems(parser, feeds, isPosted, accept = null) {
+  const seen = new Set();
+  const collected = [];
+
+  for (const feed of feeds) {
+    if (!feed.enabled) {
+      log('Feed disabled, skipping:', feed.name);
+      continue;
+    }
+
+    let parsed;
+    try {
+      log('Fetching RSS:', feed.name, feed.url);
+      parsed = await parser.parseURL(feed.url);
+    } catch (err) {
+      log('Feed fetch error:', feed.name, err?.message || err);
+      continue;
+    }
+
+    if (!parsed?.items?.length) {
+      log('No items in feed:', feed.name);
+      continue;
+    }
+
+    const fresh = parsed.items
+      .map(item => ({
+        item,
+        feed,
+        guid: itemGuid(item),
+        link: item.link,
+        title: item.title || 'Untitled',
+        date: itemDate(item)
+      }))
+      .filter(entry => !isPosted(entry.guid) && !(entry.link && isPosted(entry.link)))
+      .sort((a, b) => b.date - a.date);
+
+    let taken = 0;
+    let filtered = 0;
+    for (const entry of fresh) {
+      if (taken >= feed.maxItems) break;
+      if (seen.has(entry.guid) || (entry.link && seen.has(entry.link))) continue;
+      if (accept && !(await accept(entry))) {
+        filtered++;
+        continue;
+      }
+      seen.add(entry.guid);
+      if (entry.link) seen.add(entry.link);
+      collected.push(entry);
+      taken++;
+    }
+    log(`Feed ${feed.name}: ${fresh.length} unposted, ${filtered ? `${filtered} filtered out, ` : ''}${taken} queued`);
+  }
+
+  return collected.sort((a, b) => a.date - b.date);
+}
@@ -0,0 +1,197 @@
+/**
+ * lib/filters.js
+ *
+ * Which feed items are worth a rewrite. The rules in FILTERS_CONFIG, with a
+ * feed's own `filters` on top, are checked while the feeds are collected,
+ * so a rejected item does not take one of the feed's `maxItems` places:
+ *
+ *   exclude / include   keywords or "/regex/flags" on the title, snippet and categories
+ *   brands              { allow, deny } brand names looked for in the title and categories
+ *   maxAgeHours         items published longer ago are left out
+ *   classifier          { topic } one short LLM call asks whether the item fits
+ *
+ * `minWords` needs the article text, so it is checked after the fetch stage.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { log } from './util.js';
+import { validateSchema } from './schema.js';
+import { parseJsonReply } from './generate.js';
+
+const FIELDS = ['title', 'snippet', 'categories'];
+
+const RELEVANCE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['relevant', 'reason'],
+  properties: {
+    relevant: { type: 'boolean' },
+    reason: { type: 'string', description: 'One short sentence' }
+  }
+};
+
+/**
+ * A keyword matches whole words, case-insensitive ("deal" does not match
+ * "ideal" or "deals"); "/deals?\b/i" is used as a regex.
+ */
+function compilePattern(pattern) {
+  const source = String(pattern);
+  const regex = source.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regex) return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+  const escaped = source.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// ["a", "/b/"] applies to every field; { title: [...], categories: [...] } to those fields only
+function compileList(value, where) {
+  if (!value) return [];
+  const entries = Array.isArray(value) ? [[FIELDS, value]] : Object.entries(value).map(([field, list]) => {
+    if (!FIELDS.includes(field)) throw new Error(`${where}: unknown field "${field}", use ${FIELDS.join(', ')}`);
+    return [[field], [].concat(list)];
+  });
+  return entries.flatMap(([fields, list]) => list.map(pattern => {
+    try {
+      return { fields, pattern: String(pattern), regex: compilePattern(pattern) };
+    } catch (err) {
+      throw new Error(`${where}: invalid pattern ${pattern} (${err.message})`);
+    }
+  }));
+}
+
+function compileRules(rules, where) {
+  if (!rules || typeof rules !== 'object') return {};
+  if (rules.classifier && !rules.classifier.topic) throw new Error(`${where}: classifier needs a "topic"`);
+  return {
+    exclude: compileList(rules.exclude, `${where} exclude`),
+    include: compileList(rules.include, `${where} include`),
+    allowBrands: compileList(rules.brands?.allow, `${where} brands.allow`),
+    denyBrands: compileList(rules.brands?.deny, `${where} brands.deny`),
+    maxAgeHours: Number(rules.maxAgeHours) || 0,
+    minWords: Number(rules.minWords) || 0,
+    classifier: rules.classifier || null
+  };
+}
+
+/**
+ * Reads FILTERS_CONFIG (JSON or YAML): { include, exclude, brands: { allow,
+ * deny }, minWords, maxAgeHours, classifier: { topic, instructions } }.
+ * Without it nothing is filtered.
+ */
+export function loadFilterRules(configPath) {
+  if (!configPath || !fs.existsSync(configPath)) return {};
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const ext = path.extname(configPath).toLowerCase();
+  const parsed = (ext === '.yaml' || ext === '.yml') ? YAML.parse(raw) : JSON.parse(raw);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error(`Filters config ${configPath} must be an object of rules`);
+  compileRules(parsed, `Filters config ${configPath}`);
+  return parsed;
+}
+
+function categoriesOf(item) {
+  return [].concat(item.categories || [])
+    .map(c => (typeof c === 'string' ? c : c?._ || c?.name || ''))
+    .filter(Boolean);
+}
+
+function firstMatch(list, fields) {
+  for (const rule of list) {
+    const field = rule.fields.find(name => fields[name] && rule.regex.test(fields[name]));
+    if (field) return { ...rule, field };
+  }
+  return null;
+}
+
+const reject = (rule, reason) => ({ ok: false, rule, reason });
+
+/**
+ * `rules` come from loadFilterRules(); a feed's `filters` replace them key
+ * by key, and `filters: false` turns filtering off for that feed.
+ */
+export function createItemFilter(rules = {}) {
+  const compiled = new Map();
+  function rulesFor(feed = {}) {
+    const key = feed.name || '';
+    if (!compiled.has(key)) {
+      compiled.set(key, feed.filters === false
+        ? {}
+        : compileRules({ ...rules, ...(feed.filters || {}) }, `Filters of feed "${key}"`));
+    }
+    return compiled.get(key);
+  }
+
+  async function classify(classifier, fields, llm) {
+    const prompt = [
+      `Decide whether this news item belongs on a blog about: ${classifier.topic}.`,
+      classifier.instructions || '',
+      `Title: ${fields.title}`,
+      `Summary: ${fields.snippet || '(none)'}`,
+      `Categories: ${fields.categories || '(none)'}`,
+      'Return ONLY one JSON object: {"relevant": true or false, "reason": "one short sentence"}'
+    ].filter(Boolean).join('\n');
+
+    const completion = await llm.complete({
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: 100,
+      temperature: 0,
+      jsonSchema: { name: 'relevance', schema: RELEVANCE_SCHEMA }
+    });
+    const data = parseJsonReply(completion.text);
+    const errors = validateSchema(RELEVANCE_SCHEMA, data);
+    if (errors.length) throw new Error(`invalid classifier reply: ${errors.join('; ')}`);
+    return data;
+  }
+
+  return {
+    /**
+     * Checks a collected feed entry ({ item, feed, title, date }). `llm` is
+     * needed for the classifier; without it the classifier is left out.
+     * Resolves to { ok: true } or { ok: false, rule, reason }.
+     */
+    async check(entry, { llm = null, now = Date.now() } = {}) {
+      const feedRules = rulesFor(entry.feed);
+      const fields = {
+        title: entry.title || '',
+        snippet: entry.item?.contentSnippet || entry.item?.summary || '',
+        categories: categoriesOf(entry.item || {}).join('\n')
+      };
+
+      if (feedRules.maxAgeHours && entry.date) {
+        const hours = (now - entry.date) / 3600000;
+        if (hours > feedRules.maxAgeHours) return reject('max-age', `published ${Math.round(hours)}h ago (max ${feedRules.maxAgeHours}h)`);
+      }
+
+      const excluded = firstMatch(feedRules.exclude || [], fields);
+      if (excluded) return reject('exclude', `${excluded.field} matches ${excluded.pattern}`);
+      if (feedRules.include?.length && !firstMatch(feedRules.include, fields)) {
+        return reject('include', 'matches none of the include keywords');
+      }
+
+      const brandFields = { title: fields.title, categories: fields.categories };
+      const denied = firstMatch(feedRules.denyBrands || [], brandFields);
+      if (denied) return reject('brand-deny', `mentions ${denied.pattern}`);
+      if (feedRules.allowBrands?.length && !firstMatch(feedRules.allowBrands, brandFields)) {
+        return reject('brand-allow', 'mentions none of the allowed brands');
+      }
+
+      if (feedRules.classifier && llm) {
+        try {
+          const { relevant, reason } = await classify(feedRules.classifier, fields, llm);
+          if (!relevant) return reject('classifier', reason);
+        } catch (err) {
+          // A classifier outage must not stop the feed; the item goes through
+          log('Relevance classifier failed, keeping the item:', entry.title, err?.message || err);
+        }
+      }
+      return { ok: true };
+    },
+
+    /** The `minWords` rule, on the extracted article text. */
+    checkContent(text, feed) {
+      const { minWords } = rulesFor(feed);
+      const words = String(text || '').split(/\s+/).filter(Boolean).length;
+      return minWords && words < minWords ? reject('min-words', `${words} words (min ${minWords})`) : { ok: true };
+    }
+  };
+}
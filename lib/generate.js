@@ -0,0 +1,183 @@
+/**
+ * lib/generate.js
+ *
+ * One structured LLM call per article: the rewritten HTML plus every piece
+ * of metadata (SEO title, meta description, slug, image alt/title, labels,
+ * FAQ, alt text for inline images), validated against ARTICLE_SCHEMA and
+ * retried when malformed.
+ */
+
+import * as cheerio from 'cheerio';
+import { log, slugify } from './util.js';
+import { validateSchema } from './schema.js';
+import { renderPrompt } from './prompts.js';
+
+export const ARTICLE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['html', 'seoTitle', 'metaDescription', 'slug', 'imageAlt', 'imageTitle', 'labels', 'faq', 'galleryAlts'],
+  properties: {
+    html: { type: 'string', minLength: 200, description: 'Article body as HTML, starting with an <h1>' },
+    seoTitle: { type: 'string', minLength: 10, maxLength: 120, description: 'SEO title, 50-65 characters' },
+    metaDescription: { type: 'string', minLength: 50, maxLength: 320, description: 'Search description, 140-160 characters' },
+    slug: { type: 'string', minLength: 3, description: 'Lowercase URL slug with hyphens' },
+    imageAlt: { type: 'string', minLength: 5, description: 'Alt text (5-10 words) describing the lead image' },
+    imageTitle: { type: 'string', minLength: 3, description: 'Short image title (3-6 words)' },
+    labels: { type: 'array', minItems: 1, maxItems: 8, items: { type: 'string' }, description: '3-6 SEO tags' },
+    galleryAlts: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Alt text for each numbered image under "Images", in order'
+    },
+    faq: {
+      type: 'array',
+      maxItems: 6,
+      description: '3-5 questions readers may ask, answered from the article',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['question', 'answer'],
+        properties: {
+          question: { type: 'string', minLength: 5 },
+          answer: { type: 'string', minLength: 5 }
+        }
+      }
+    }
+  }
+};
+
+// Filled into the template's {{outputFormat}}; kept in code because it has to
+// match ARTICLE_SCHEMA
+const OUTPUT_FORMAT = `Return **ONLY** one JSON object with these fields:
+    - "html": the final HTML content for the article body
+    - "seoTitle": an SEO title of 50-65 characters
+    - "metaDescription": a search description of 140-160 characters
+    - "slug": a short lowercase URL slug with hyphens
+    - "imageAlt": a descriptive image alt text (5-10 words) that explains what the lead picture shows
+    - "imageTitle": a short SEO-friendly title text (3-6 words) for the lead image
+    - "labels": 3-6 SEO-friendly tags
+    - "faq": 3-5 objects {"question", "answer"} that the article answers
+    - "galleryAlts": one alt text (5-12 words) per numbered image listed under "Images", in the same order; [] if there are none`;
+
+export function parseJsonReply(text) {
+  const cleaned = (text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('reply contains no JSON object');
+  return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+// Code fences anywhere in the reply and every link (the text is kept) are
+// taken out; the fact check flags any that survive
+function cleanArticleHtml(html) {
+  const unfenced = html
+    .replace(/\.\.\.\s*html/gi, '')
+    .replace(/```[a-z]*/gi, '')
+    .trim();
+  if (!/<a[\s>]/i.test(unfenced)) return unfenced;
+  const $ = cheerio.load(unfenced, null, false);
+  $('a').each((_, a) => {
+    $(a).replaceWith($(a).contents());
+  });
+  return $.html().trim();
+}
+
+// Numbered list of the inline images, described by their source caption/alt
+function describeImages(images) {
+  if (!images.length) return '(none)';
+  return images.map((img, i) => `${i + 1}. ${img.caption || img.alt || 'no description'}`).join('\n');
+}
+
+/**
+ * Renders `template` (see lib/prompts.js) and resolves to { html, seoTitle,
+ * metaDescription, slug, imageAlt, imageTitle, labels, faq, galleryAlts,
+ * provider, model, usage, promptVersion }. `images` are the inline images
+ * ({ caption, alt }) that need alt text; `facts` is reference text (device
+ * specs) the article must agree with; `feedback` lists what was wrong with a
+ * rejected earlier draft. Throws once `attempts` replies in a row were
+ * invalid.
+ */
+export async function generateArticle(llm, {
+  template,
+  title,
+  snippet,
+  content,
+  language = { code: 'en', name: 'English' },
+  siteName = '',
+  wordTarget = 1200,
+  images = [],
+  facts = '',
+  feedback = [],
+  attempts = 3
+}) {
+  const prompt = renderPrompt(template, {
+    title,
+    snippet: snippet || '',
+    content: content || '',
+    language: language.name,
+    languageCode: language.code,
+    instructions: language.instructions || '',
+    siteName,
+    wordTarget,
+    outputFormat: OUTPUT_FORMAT,
+    images: describeImages(images),
+    facts: facts || '(none)'
+  });
+  // Templates without {{outputFormat}} / {{images}} / {{facts}} still get them
+  let request = prompt;
+  if (images.length && !/\{\{\s*images\s*\}\}/.test(template.body)) request += `\n\nImages:\n${describeImages(images)}`;
+  if (facts && !/\{\{\s*facts\s*\}\}/.test(template.body)) request += `\n\nFacts (use these exact figures, do not invent others):\n${facts}`;
+  if (!/\{\{\s*outputFormat\s*\}\}/.test(template.body)) request += `\n\n${OUTPUT_FORMAT}`;
+  if (feedback.length) {
+    request += `\n\nA previous draft was rejected for these problems; avoid them:\n${feedback.map(p => `- ${p}`).join('\n')}`;
+  }
+  const messages = [{ role: 'user', content: request }];
+
+  let lastError;
+  // Tokens of every attempt, rejected replies included
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const completion = await llm.complete({
+      messages,
+      maxTokens: 3000,
+      jsonSchema: { name: 'article', schema: ARTICLE_SCHEMA }
+    });
+    usage.prompt_tokens += completion.usage?.prompt_tokens || 0;
+    usage.completion_tokens += completion.usage?.completion_tokens || 0;
+
+    let data;
+    let errors;
+    try {
+      data = parseJsonReply(completion.text);
+      errors = validateSchema(ARTICLE_SCHEMA, data);
+    } catch (err) {
+      errors = [`invalid JSON: ${err.message}`];
+    }
+
+    if (!errors.length) {
+      return {
+        ...data,
+        html: cleanArticleHtml(data.html),
+        slug: slugify(data.slug) || slugify(data.seoTitle),
+        labels: [...new Set(data.labels.map(l => l.trim()).filter(Boolean))].slice(0, 6),
+        galleryAlts: images.map((img, i) => data.galleryAlts[i]?.trim() || img.alt || img.caption || data.imageAlt),
+        provider: completion.provider,
+        model: completion.model,
+        usage,
+        promptVersion: template.version
+      };
+    }
+
+    lastError = new Error(`Invalid article JSON: ${errors.slice(0, 5).join('; ')}`);
+    log(`Generation attempt ${attempt}/${attempts} rejected:`, errors.slice(0, 5).join('; '));
+    messages.push(
+      { role: 'assistant', content: completion.text },
+      { role: 'user', content: `That reply was not valid: ${errors.slice(0, 10).join('; ')}. Reply again with ONLY the corrected JSON object.` }
+    );
+  }
+
+  throw lastError;
+}
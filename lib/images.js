@@ -0,0 +1,131 @@
+/**
+ * lib/images.js
+ *
+ * Inline article images: choosing which source images to re-host, spotting
+ * the same picture at different sizes/URLs by perceptual hash, and placing
+ * the processed images in the post as inline figures or a gallery. Also the
+ * renditions of the lead image: responsive widths, the social card and the
+ * square thumbnail.
+ */
+
+import sharp from 'sharp';
+import { escapeHtml } from './util.js';
+
+// Images smaller than this (declared size) are icons, avatars or buttons
+export const MIN_DIMENSION = 200;
+
+/**
+ * 64-bit difference hash (dHash) as a 16-char hex string. Resizing and
+ * re-encoding barely change it, so copies of one picture are a few bits
+ * apart while different pictures are ~32 apart.
+ */
+export async function perceptualHash(imageBuffer) {
+  const data = await sharp(imageBuffer)
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (data[y * 9 + x] > data[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+export function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+/** True when `hash` is within `maxDistance` bits of any hash in `hashes`. */
+export function isNearDuplicate(hash, hashes, maxDistance = 6) {
+  return hashes.some(other => other && hashDistance(hash, other) <= maxDistance);
+}
+
+/**
+ * Candidate inline images from an extracted article: drops the lead image,
+ * declared-small images and repeated URLs. Returns more than `limit` (twice
+ * as many) so images lost to download errors or hash duplicates can be
+ * replaced.
+ */
+export function pickArticleImages(images = [], { exclude = [], limit = 6 } = {}) {
+  const skip = new Set(exclude.filter(Boolean));
+  return images
+    .filter(img => img?.src && !skip.has(img.src))
+    .filter(img => !(img.width && img.width < MIN_DIMENSION) && !(img.height && img.height < MIN_DIMENSION))
+    .slice(0, limit * 2);
+}
+
+function figureHtml(image, maxWidth) {
+  return `<figure style="text-align: center; margin: 20px 0;">
+    <img src="${image.src}" alt="${escapeHtml(image.alt)}" loading="lazy"
+         style="max-width: ${maxWidth}px; width: 100%; height: auto; border-radius: 8px;" />
+  </figure>\n`;
+}
+
+/**
+ * Places `images` ({ src, alt }) into the article HTML.
+ * `inline` puts one figure before each <h2> after the first section (the rest
+ * go at the end); `gallery` appends them all in one block after the article.
+ */
+export function insertImages(html, images, { mode = 'gallery', maxWidth = 800 } = {}) {
+  if (!images.length || mode === 'off') return html;
+
+  if (mode === 'inline') {
+    const queue = [...images];
+    let seenFirst = false;
+    const withFigures = html.replace(/<h2[\s>]/gi, match => {
+      if (!seenFirst) {
+        seenFirst = true;
+        return match;
+      }
+      return queue.length ? figureHtml(queue.shift(), maxWidth) + match : match;
+    });
+    return withFigures + queue.map(img => figureHtml(img, maxWidth)).join('');
+  }
+
+  return `${html}\n<div class="post-gallery">\n${images.map(img => figureHtml(img, maxWidth)).join('')}</div>\n`;
+}
+
+/**
+ * Re-encodes the image at each of `widths` that is smaller than the image
+ * itself, plus the full width. Resolves to [{ width, buffer }], narrowest
+ * first.
+ */
+export async function renderVariants(imageBuffer, widths, { format = 'jpeg', quality = 85 } = {}) {
+  const { width: fullWidth } = await sharp(imageBuffer).metadata();
+  const targets = [...new Set([...widths.filter(w => w < fullWidth), fullWidth])].sort((a, b) => a - b);
+
+  const variants = [];
+  for (const width of targets) {
+    const buffer = width === fullWidth
+      ? imageBuffer
+      : await sharp(imageBuffer).resize({ width }).toFormat(format, { quality }).toBuffer();
+    variants.push({ width, buffer });
+  }
+  return variants;
+}
+
+/**
+ * Crops to exactly `width` x `height` around the most interesting part of
+ * the picture (sharp's attention strategy), e.g. 1200x630 for social cards
+ * or a square thumbnail.
+ */
+export async function cropTo(imageBuffer, width, height, { format = 'jpeg', quality = 85 } = {}) {
+  return sharp(imageBuffer)
+    .resize(width, height, { fit: 'cover', position: sharp.strategy.attention })
+    .toFormat(format, { quality })
+    .toBuffer();
+}
+
+export function srcsetAttr(variants) {
+  return variants.map(v => `${v.src} ${v.width}w`).join(', ');
+}
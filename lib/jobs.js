@@ -0,0 +1,191 @@
+/**
+ * lib/jobs.js
+ *
+ * Persistent pipeline jobs, one per source item and language. Each job
+ * remembers the last stage it finished and the data that stage produced, so
+ * a failed item is retried later from where it stopped (with exponential
+ * backoff) instead of being dropped. Jobs that keep failing are moved to
+ * `dead` and show up in `node app.js jobs dead`.
+ */
+
+export const STAGES = ['new', 'fetched', 'image_processed', 'rewritten', 'checked', 'published'];
+
+export function stageIndex(stage) {
+  return STAGES.indexOf(stage);
+}
+
+export function createJobStore(db, { maxAttempts = 5, baseDelayMinutes = 15, maxDelayMinutes = 24 * 60 } = {}) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guid TEXT,
+      link TEXT,
+      lang TEXT NOT NULL DEFAULT 'en',
+      feed TEXT,
+      title TEXT,
+      source TEXT,
+      stage TEXT DEFAULT 'new',
+      status TEXT DEFAULT 'pending',
+      data TEXT DEFAULT '{}',
+      attempts INTEGER DEFAULT 0,
+      failed_stage TEXT,
+      last_error TEXT,
+      next_retry_at TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (guid, lang)
+    )
+  `).run();
+
+  const toJob = row => row && { ...row, source: JSON.parse(row.source || '{}'), data: JSON.parse(row.data || '{}') };
+  const get = id => toJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+
+  return {
+    get,
+
+    /**
+     * Creates the job for `guid`/`lang` unless it exists. `source` is a
+     * snapshot of the feed item, so a retry works after the item has left
+     * the feed.
+     */
+    ensure({ guid, link, lang, feed, title, source }) {
+      db.prepare(`
+        INSERT OR IGNORE INTO jobs (guid, link, lang, feed, title, source)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(guid, link || null, lang, feed || null, title, JSON.stringify(source || {}));
+    },
+
+    exists(guidOrLink, lang) {
+      return !!db.prepare('SELECT 1 FROM jobs WHERE (guid = ? OR link = ?) AND lang = ?').get(guidOrLink, guidOrLink, lang);
+    },
+
+    /** Pending jobs and retries whose backoff has expired, oldest first. */
+    due() {
+      return db.prepare(`
+        SELECT * FROM jobs
+        WHERE status IN ('pending', 'retry') AND (next_retry_at IS NULL OR next_retry_at <= datetime('now'))
+        ORDER BY id
+      `).all().map(toJob);
+    },
+
+    /**
+     * Marks `stage` as finished and merges `data` into the job's stored data.
+     * A job never moves back to an earlier stage.
+     */
+    advance(id, stage, data = {}) {
+      const job = get(id);
+      const next = stageIndex(stage) > stageIndex(job.stage) ? stage : job.stage;
+      db.prepare(`
+        UPDATE jobs SET stage = ?, data = ?, updated_at = datetime('now') WHERE id = ?
+      `).run(next, JSON.stringify({ ...job.data, ...data }), id);
+    },
+
+    complete(id, data = {}) {
+      this.advance(id, 'published', data);
+      db.prepare(`
+        UPDATE jobs SET status = 'done', last_error = NULL, next_retry_at = NULL, updated_at = datetime('now') WHERE id = ?
+      `).run(id);
+    },
+
+    /**
+     * Records a failure of `stage`. The job is retried after
+     * baseDelayMinutes * 2^(attempts - 1), or dead-lettered once it has
+     * failed maxAttempts times. Returns the updated job.
+     */
+    fail(id, stage, err) {
+      const job = get(id);
+      const attempts = job.attempts + 1;
+      const dead = attempts >= maxAttempts;
+      const delayMinutes = Math.min(baseDelayMinutes * 2 ** (attempts - 1), maxDelayMinutes);
+
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?, attempts = ?, failed_stage = ?, last_error = ?,
+            next_retry_at = CASE WHEN ? THEN NULL ELSE datetime('now', ?) END,
+            updated_at = datetime('now')
+        WHERE id = ?
+      `).run(dead ? 'dead' : 'retry', attempts, stage, String(err?.message || err).slice(0, 1000),
+        dead ? 1 : 0, `+${delayMinutes} minutes`, id);
+      return get(id);
+    },
+
+    /** Closes a job without publishing, e.g. a duplicate story. */
+    skip(id, reason) {
+      db.prepare(`
+        UPDATE jobs SET status = 'skipped', last_error = ?, next_retry_at = NULL, updated_at = datetime('now') WHERE id = ?
+      `).run(reason, id);
+    },
+
+    /** Puts a job off until `until` without counting it as a failed attempt. */
+    postpone(id, until, reason) {
+      db.prepare(`
+        UPDATE jobs SET status = 'pending', last_error = ?, next_retry_at = ?, updated_at = datetime('now') WHERE id = ?
+      `).run(reason, until.toISOString().replace('T', ' ').slice(0, 19), id);
+    },
+
+    find(guid, lang) {
+      return toJob(db.prepare('SELECT * FROM jobs WHERE guid = ? AND lang = ?').get(guid, lang));
+    },
+
+    list({ status } = {}) {
+      const rows = status
+        ? db.prepare('SELECT * FROM jobs WHERE status = ? ORDER BY updated_at DESC').all(status)
+        : db.prepare('SELECT * FROM jobs ORDER BY updated_at DESC LIMIT 100').all();
+      return rows.map(toJob);
+    },
+
+    /**
+     * Sends a job through every stage again with fresh `data`, e.g. to
+     * rewrite and update a published post.
+     */
+    restart(id, data = {}) {
+      db.prepare(`
+        UPDATE jobs
+        SET stage = 'new', status = 'pending', data = ?, attempts = 0, failed_stage = NULL, last_error = NULL,
+            next_retry_at = NULL, updated_at = datetime('now')
+        WHERE id = ?
+      `).run(JSON.stringify(data), id);
+      return get(id);
+    },
+
+    /** Puts a dead (or waiting) job back in line for the next run. */
+    requeue(id) {
+      db.prepare(`
+        UPDATE jobs SET status = 'retry', attempts = 0, next_retry_at = NULL, updated_at = datetime('now')
+        WHERE id = ? AND status != 'done'
+      `).run(id);
+      return get(id);
+    }
+  };
+}
+
+/**
+ * CLI: `node app.js jobs [list|dead|retry <id>]`
+ */
+export function runJobsCommand(jobs, [action = 'list', id]) {
+  const print = job => {
+    console.log(`#${job.id} [${job.status}] (${job.lang}) ${job.title}`);
+    console.log(`   stage: ${job.stage}  attempts: ${job.attempts}  updated: ${job.updated_at}${job.next_retry_at ? `  next retry: ${job.next_retry_at}` : ''}`);
+    if (job.status === 'skipped') console.log(`   skipped: ${job.last_error}`);
+    else if (job.last_error) console.log(`   failed at ${job.failed_stage}: ${job.last_error}`);
+    if (job.link) console.log(`   source: ${job.link}`);
+  };
+
+  switch (action) {
+    case 'list':
+    case 'dead': {
+      const list = jobs.list({ status: action === 'dead' ? 'dead' : undefined });
+      if (!list.length) console.log(action === 'dead' ? 'No dead-lettered jobs.' : 'No jobs yet.');
+      list.forEach(print);
+      return;
+    }
+    case 'retry': {
+      const job = jobs.get(Number(id));
+      if (!job) throw new Error(`No job with id ${id}`);
+      print(jobs.requeue(job.id));
+      return;
+    }
+    default:
+      throw new Error(`Unknown jobs action "${action}". Use list, dead or retry.`);
+  }
+}
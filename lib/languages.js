@@ -0,0 +1,64 @@
+/**
+ * lib/languages.js
+ *
+ * Target languages. Every source item is rewritten and posted once per
+ * language, each language to its own Blogger blog.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+const RTL_LANGUAGES = ['ar', 'ur', 'fa', 'he', 'ps', 'sd', 'ug', 'yi'];
+
+const LANGUAGE_NAMES = {
+  en: 'English', ur: 'Urdu', ar: 'Arabic', hi: 'Hindi', fa: 'Persian', es: 'Spanish',
+  fr: 'French', de: 'German', id: 'Indonesian', tr: 'Turkish', bn: 'Bengali', pt: 'Portuguese'
+};
+
+/**
+ * Reads LANGUAGES_CONFIG (JSON or YAML). Without it the bot posts English
+ * only to BLOG_ID, as before. `blogId` may be written as `env:VAR_NAME`.
+ */
+export function loadLanguages(configPath, { blogId, env = process.env } = {}) {
+  let list = [{ code: 'en', blogId }];
+
+  if (configPath && fs.existsSync(configPath)) {
+    const raw = fs.readFileSync(configPath, 'utf8');
+    const ext = path.extname(configPath).toLowerCase();
+    const parsed = (ext === '.yaml' || ext === '.yml') ? YAML.parse(raw) : JSON.parse(raw);
+    list = Array.isArray(parsed) ? parsed : parsed?.languages;
+    if (!Array.isArray(list) || !list.length) {
+      throw new Error(`Languages config ${configPath} must be a non-empty list or contain a "languages" list`);
+    }
+  }
+
+  const enabled = list.filter(lang => lang.enabled !== false);
+  if (!enabled.length) {
+    throw new Error(`Languages config ${configPath} has no enabled language; set "enabled": true on at least one`);
+  }
+
+  return enabled.map(lang => {
+    if (!lang.code) throw new Error('Every language in the languages config needs a "code"');
+    const code = String(lang.code).toLowerCase();
+    const langBlogId = String(lang.blogId || '').startsWith('env:') ? env[lang.blogId.slice(4)] : lang.blogId;
+    return {
+      ...lang,
+      code,
+      name: lang.name || LANGUAGE_NAMES[code] || code,
+      blogId: langBlogId || blogId,
+      rtl: typeof lang.rtl === 'boolean' ? lang.rtl : RTL_LANGUAGES.includes(code.split('-')[0]),
+      // Extra prompt instructions for this language only
+      instructions: lang.instructions || ''
+    };
+  });
+}
+
+/**
+ * Wraps post HTML so right-to-left languages render correctly in Blogger
+ * themes that assume LTR.
+ */
+export function wrapForLanguage(html, language) {
+  if (!language.rtl) return html;
+  return `<div dir="rtl" lang="${language.code}" style="direction: rtl; text-align: right;">\n${html}\n</div>`;
+}
@@ -0,0 +1,102 @@
+/**
+ * lib/links.js
+ *
+ * Internal links between our own posts. Earlier posts in the same language
+ * (from the `posted` table, which records each post's Blogger URL and
+ * labels) are scored by shared labels and title keywords; the best ones get
+ * a contextual link in the article text and a place in a "Related posts"
+ * block.
+ */
+
+import * as cheerio from 'cheerio';
+import { escapeHtml } from './util.js';
+import { normalizeTitle } from './dedup.js';
+
+// How many recent posts are scored; older ones are rarely the best match
+const CANDIDATE_LIMIT = 500;
+const LABEL_WEIGHT = 2;
+
+function keywords(text) {
+  return new Set(normalizeTitle(text).split(' ').filter(w => w.length >= 3 && !/^\d+$/.test(w)));
+}
+
+const lowerLabels = labels => new Set(labels.map(l => l.toLowerCase()));
+
+/**
+ * Earlier live posts related to the new one, best first (scheduled posts
+ * would be dead links until their time comes):
+ * [{ url, title, labels, score, anchors }]. `anchors` are the phrases the two
+ * posts share (labels first, then title keywords), used as link text.
+ */
+export function findRelatedPosts(db, { lang, labels = [], title, excludeGuid, limit = 5, minScore = 2 }) {
+  const rows = db.prepare(`
+    SELECT guid, blogger_url, post_title, title, labels FROM posted
+    WHERE lang = ? AND blogger_url IS NOT NULL AND status = 'published' AND guid IS NOT ?
+    ORDER BY posted_at DESC LIMIT ?
+  `).all(lang, excludeGuid ?? null, CANDIDATE_LIMIT);
+
+  const ourLabels = lowerLabels(labels);
+  const ourWords = keywords(title);
+
+  return rows
+    .map(row => {
+      const theirLabels = JSON.parse(row.labels || '[]');
+      const postTitle = row.post_title || row.title;
+      const sharedLabels = theirLabels.filter(l => ourLabels.has(l.toLowerCase()));
+      const sharedWords = [...keywords(postTitle)].filter(w => ourWords.has(w));
+      return {
+        url: row.blogger_url,
+        title: postTitle,
+        labels: theirLabels,
+        score: sharedLabels.length * LABEL_WEIGHT + sharedWords.length,
+        anchors: [...sharedLabels, ...sharedWords.sort((a, b) => b.length - a.length)]
+      };
+    })
+    .filter(post => post.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Links the first plain-text mention of one anchor per related post inside
+ * the article's paragraphs and list items (never headings or existing
+ * links), up to `max` links. Returns { html, linked } where `linked` are the
+ * posts that got a link.
+ */
+export function insertContextualLinks(html, related, { max = 3 } = {}) {
+  const $ = cheerio.load(html, null, false);
+  const usedAnchors = new Set();
+  const linked = [];
+
+  for (const post of related) {
+    if (linked.length >= max) break;
+    const done = post.anchors.some(anchor => {
+      if (usedAnchors.has(anchor.toLowerCase())) return false;
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${anchor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'iu');
+      const textNode = $('p, li').contents().toArray()
+        .find(node => node.type === 'text' && pattern.test(node.data) && !$(node).closest('a').length);
+      if (!textNode) return false;
+
+      const match = textNode.data.match(pattern);
+      const before = textNode.data.slice(0, match.index);
+      const after = textNode.data.slice(match.index + match[0].length);
+      $(textNode).replaceWith(`${escapeHtml(before)}<a href="${escapeHtml(post.url)}">${escapeHtml(match[0])}</a>${escapeHtml(after)}`);
+      usedAnchors.add(anchor.toLowerCase());
+      return true;
+    });
+    if (done) linked.push(post);
+  }
+
+  return { html: $.html(), linked };
+}
+
+export function relatedPostsHtml(related, { heading = 'Related posts' } = {}) {
+  if (!related.length) return '';
+  const items = related.map(post => `    <li><a href="${escapeHtml(post.url)}">${escapeHtml(post.title)}</a></li>`);
+  return `<div class="related-posts">
+  <h3>${escapeHtml(heading)}</h3>
+  <ul>
+${items.join('\n')}
+  </ul>
+</div>\n`;
+}
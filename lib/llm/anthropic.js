@@ -0,0 +1,33 @@
+/**
+ * lib/llm/anthropic.js
+ *
+ * Anthropic Messages API over plain HTTP
+ */
+
+import axios from 'axios';
+
+export function createAnthropicProvider({ baseURL = 'https://api.anthropic.com', timeout = 120000 }) {
+  return {
+    // No JSON mode here: `jsonSchema` relies on the prompt describing the format
+    async call(key, { model, messages, maxTokens, temperature }) {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const res = await axios.post(`${baseURL.replace(/\/$/, '')}/v1/messages`, {
+        model,
+        max_tokens: maxTokens || 1024,
+        temperature,
+        system: system || undefined,
+        messages: messages.filter(m => m.role !== 'system').map(m => ({ role: m.role, content: m.content }))
+      }, {
+        headers: { 'x-api-key': key, 'anthropic-version': '2023-06-01', 'content-type': 'application/json' },
+        timeout
+      });
+      return {
+        text: (res.data.content || []).filter(c => c.type === 'text').map(c => c.text).join(''),
+        usage: {
+          prompt_tokens: res.data.usage?.input_tokens || 0,
+          completion_tokens: res.data.usage?.output_tokens || 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * lib/llm/gemini.js
+ *
+ * Google Gemini generateContent API over plain HTTP
+ */
+
+import axios from 'axios';
+
+export function createGeminiProvider({ baseURL = 'https://generativelanguage.googleapis.com', timeout = 120000 }) {
+  return {
+    async call(key, { model, messages, maxTokens, temperature, jsonSchema }) {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const res = await axios.post(`${baseURL.replace(/\/$/, '')}/v1beta/models/${model}:generateContent`, {
+        systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+        contents: messages.filter(m => m.role !== 'system').map(m => ({
+          role: m.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: m.content }]
+        })),
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          temperature,
+          responseMimeType: jsonSchema ? 'application/json' : undefined
+        }
+      }, {
+        headers: { 'x-goog-api-key': key, 'content-type': 'application/json' },
+        timeout
+      });
+      const parts = res.data.candidates?.[0]?.content?.parts || [];
+      return {
+        text: parts.map(p => p.text || '').join(''),
+        usage: {
+          prompt_tokens: res.data.usageMetadata?.promptTokenCount || 0,
+          completion_tokens: res.data.usageMetadata?.candidatesTokenCount || 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * lib/llm/index.js
+ *
+ * Provider-agnostic LLM layer. Providers are tried in config order; inside a
+ * provider the API keys are used round-robin. A key that hits a rate limit,
+ * quota or auth error is parked for a while and the next key (or provider)
+ * takes over, so one exhausted key does not stop the run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { log } from '../util.js';
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createGeminiProvider } from './gemini.js';
+
+const PROVIDER_TYPES = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  gemini: createGeminiProvider
+};
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  anthropic: 'claude-3-5-haiku-latest',
+  gemini: 'gemini-1.5-flash'
+};
+
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+const SERVER_ERROR_COOLDOWN_MS = 30 * 1000;
+const QUOTA_COOLDOWN_MS = 60 * 60 * 1000;
+const AUTH_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+function resolveKeys(config, env) {
+  const keys = [].concat(config.keys || []);
+  if (config.keysEnv) keys.push(...String(env[config.keysEnv] || '').split(','));
+  return keys
+    .map(k => String(k).startsWith('env:') ? env[String(k).slice(4)] : k)
+    .map(k => (k || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the provider list from LLM_CONFIG (JSON or YAML). Without a config
+ * file the old env setup is used: OPENAI_API_KEYS (comma separated) or
+ * OPENAI_API_KEY, OPENAI_MODEL, BUDGET_FALLBACK_MODEL and OPENAI_BASE_URL.
+ * A provider's `fallbackModel` is the cheaper model used once a spending
+ * budget is reached (see lib/usage.js).
+ */
+export function loadLLMConfig(configPath, env = process.env) {
+  let list;
+  if (configPath && fs.existsSync(configPath)) {
+    const raw = fs.readFileSync(configPath, 'utf8');
+    const ext = path.extname(configPath).toLowerCase();
+    const parsed = (ext === '.yaml' || ext === '.yml') ? YAML.parse(raw) : JSON.parse(raw);
+    list = Array.isArray(parsed) ? parsed : parsed?.providers;
+    if (!Array.isArray(list)) {
+      throw new Error(`LLM config ${configPath} must be a list or contain a "providers" list`);
+    }
+  } else {
+    list = [{
+      name: 'openai',
+      type: env.OPENAI_BASE_URL ? 'openai-compatible' : 'openai',
+      keys: [env.OPENAI_API_KEY],
+      keysEnv: 'OPENAI_API_KEYS',
+      model: env.OPENAI_MODEL,
+      fallbackModel: env.BUDGET_FALLBACK_MODEL,
+      baseURL: env.OPENAI_BASE_URL
+    }];
+  }
+
+  return list.map((config, i) => {
+    const type = config.type || 'openai';
+    if (!PROVIDER_TYPES[type]) throw new Error(`Unknown LLM provider type "${type}"`);
+    return {
+      ...config,
+      name: config.name || `${type}-${i + 1}`,
+      type,
+      model: config.model || DEFAULT_MODELS[type === 'openai-compatible' ? 'openai' : type],
+      fallbackModel: config.fallbackModel || null,
+      keys: resolveKeys(config, env)
+    };
+  });
+}
+
+function classifyError(err) {
+  const status = err?.status || err?.response?.status;
+  const details = `${err?.message || ''} ${JSON.stringify(err?.response?.data || err?.error || '')}`;
+
+  if (/insufficient_quota|exceeded your current quota|RESOURCE_EXHAUSTED|credit balance/i.test(details)) {
+    return { failover: true, cooldownMs: QUOTA_COOLDOWN_MS, reason: 'quota' };
+  }
+  if (status === 429) {
+    const retryAfter = parseInt(err?.headers?.['retry-after'] || err?.response?.headers?.['retry-after'], 10);
+    return { failover: true, cooldownMs: retryAfter ? retryAfter * 1000 : RATE_LIMIT_COOLDOWN_MS, reason: 'rate limit' };
+  }
+  if (status === 401 || status === 403) {
+    return { failover: true, cooldownMs: AUTH_COOLDOWN_MS, reason: 'auth' };
+  }
+  // No status = network error/timeout
+  if (!status || status >= 500 || status === 408) {
+    return { failover: true, cooldownMs: SERVER_ERROR_COOLDOWN_MS, reason: status ? `HTTP ${status}` : 'network' };
+  }
+  // Other 4xx (unknown model, request too large...) are about this provider, not this key
+  return { failover: false, cooldownMs: 0, reason: `HTTP ${status}` };
+}
+
+function maskKey(key) {
+  return key.length > 8 ? `…${key.slice(-4)}` : '…';
+}
+
+export function createLLM(configs) {
+  const providers = configs
+    .filter(c => c.keys.length)
+    .map(c => ({ ...c, impl: PROVIDER_TYPES[c.type](c), next: 0, parkedUntil: new Map() }));
+
+  return {
+    hasProviders() {
+      return providers.length > 0;
+    },
+
+    hasFallback() {
+      return providers.some(p => p.fallbackModel);
+    },
+
+    describe() {
+      return providers.map(p => `${p.name}(${p.type}:${p.model}, ${p.keys.length} key${p.keys.length === 1 ? '' : 's'})`).join(', ');
+    },
+
+    /**
+     * Runs one chat completion. `messages` use the OpenAI shape
+     * ({ role: 'system' | 'user' | 'assistant', content }). `jsonSchema`
+     * ({ name, schema }) asks for a JSON reply where the provider supports it;
+     * the caller still validates it. `fallback` uses each provider's
+     * `fallbackModel` where it has one.
+     * Resolves to { text, usage: { prompt_tokens, completion_tokens }, provider, model }.
+     */
+    async complete({ messages, maxTokens, temperature, jsonSchema, fallback = false }) {
+      const failures = [];
+
+      for (const provider of providers) {
+        for (let attempt = 0; attempt < provider.keys.length; attempt++) {
+          const index = provider.next;
+          provider.next = (provider.next + 1) % provider.keys.length;
+          if ((provider.parkedUntil.get(index) || 0) > Date.now()) continue;
+
+          const key = provider.keys[index];
+          const model = (fallback && provider.fallbackModel) || provider.model;
+          try {
+            const result = await provider.impl.call(key, { model, messages, maxTokens, temperature, jsonSchema });
+            return { ...result, provider: provider.name, model };
+          } catch (err) {
+            const { failover, cooldownMs, reason } = classifyError(err);
+            failures.push(`${provider.name} ${maskKey(key)}: ${reason} (${err?.message || err})`);
+
+            if (!failover) {
+              log(`LLM ${provider.name} rejected the request (${reason}), trying next provider`);
+              break;
+            }
+            provider.parkedUntil.set(index, Date.now() + cooldownMs);
+            log(`LLM ${provider.name} key ${maskKey(key)} parked for ${Math.round(cooldownMs / 1000)}s (${reason})`);
+          }
+        }
+      }
+
+      const error = new Error(`All LLM providers failed: ${failures.join('; ') || 'no usable keys'}`);
+      error.failures = failures;
+      throw error;
+    }
+  };
+}
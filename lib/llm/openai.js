@@ -0,0 +1,52 @@
+/**
+ * lib/llm/openai.js
+ *
+ * OpenAI and any OpenAI-compatible endpoint (Ollama, llama.cpp server,
+ * OpenRouter, ...) through the official SDK.
+ */
+
+import OpenAI from 'openai';
+import { wireSchema } from '../schema.js';
+
+/**
+ * `structuredOutput` picks how JSON replies are requested: `json_schema`
+ * (OpenAI default), `json_object` (default for compatible servers, most of
+ * which only know JSON mode) or `none` (prompt only).
+ */
+export function createOpenAIProvider({ type, baseURL, timeout = 120000, structuredOutput }) {
+  const jsonMode = structuredOutput || (type === 'openai' ? 'json_schema' : 'json_object');
+
+  const clients = new Map();
+  const clientFor = key => {
+    if (!clients.has(key)) {
+      clients.set(key, new OpenAI({ apiKey: key, baseURL: baseURL || undefined, timeout, maxRetries: 0 }));
+    }
+    return clients.get(key);
+  };
+
+  return {
+    async call(key, { model, messages, maxTokens, temperature, jsonSchema }) {
+      let responseFormat;
+      if (jsonSchema && jsonMode === 'json_schema') {
+        responseFormat = { type: 'json_schema', json_schema: { name: jsonSchema.name, schema: wireSchema(jsonSchema.schema) } };
+      } else if (jsonSchema && jsonMode === 'json_object') {
+        responseFormat = { type: 'json_object' };
+      }
+
+      const completion = await clientFor(key).chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        response_format: responseFormat
+      });
+      return {
+        text: completion.choices?.[0]?.message?.content || '',
+        usage: {
+          prompt_tokens: completion.usage?.prompt_tokens || 0,
+          completion_tokens: completion.usage?.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * lib/preview.js
+ *
+ * Dry-run output: writes what would have been published into a folder
+ * per item (index.html, the processed image and meta.json).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { escapeHtml, slugify } from './util.js';
+
+export function previewDirFor(outputDir, title) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  return path.join(outputDir, `${stamp}-${slugify(title) || 'post'}`);
+}
+
+/**
+ * `images` is a list of `{ fileName, buffer }` already referenced by
+ * relative src in `htmlContent`.
+ */
+export function writePreview(dir, { title, htmlContent, labels = [], images = [], metadata = {} }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const { fileName, buffer } of images) {
+    fs.writeFileSync(path.join(dir, fileName), buffer);
+  }
+
+  const page = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>body { max-width: 860px; margin: 40px auto; font-family: sans-serif; line-height: 1.6; padding: 0 16px; }
+  .labels span { display: inline-block; background: #eee; border-radius: 4px; padding: 2px 8px; margin: 0 4px 4px 0; font-size: 13px; }</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="labels">${labels.map(l => `<span>${escapeHtml(l)}</span>`).join('')}</div>
+  <hr />
+${htmlContent}
+</body>
+</html>
+`;
+  fs.writeFileSync(path.join(dir, 'index.html'), page);
+
+  fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify({
+    title,
+    labels,
+    images: images.map(i => i.fileName),
+    generated_at: new Date().toISOString(),
+    ...metadata
+  }, null, 2));
+
+  return dir;
+}
@@ -0,0 +1,61 @@
+/**
+ * lib/prompts.js
+ *
+ * Prompt templates stored as files (prompts/*.md). A template may start with
+ * a front-matter block (`version`, `description`) and uses `{{variable}}`
+ * placeholders. Files are re-read on every use, so edits apply without a
+ * restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { log } from './util.js';
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Loads a template. Relative names are resolved against `promptsDir`.
+ * Returns { name, version, body }, where `version` looks like
+ * `article.md@v2#1a2b3c4d`: the front-matter version plus a hash of the
+ * file, so an edit without a version bump is still told apart.
+ */
+export function loadPromptTemplate(file, promptsDir = './prompts') {
+  const fullPath = path.isAbsolute(file) || file.includes('/') ? file : path.join(promptsDir, file);
+  const raw = fs.readFileSync(fullPath, 'utf8');
+
+  let meta = {};
+  let body = raw;
+  const match = raw.match(FRONT_MATTER);
+  if (match) {
+    meta = YAML.parse(match[1]) || {};
+    body = raw.slice(match[0].length);
+  }
+
+  const hash = crypto.createHash('sha1').update(raw).digest('hex').slice(0, 8);
+  const name = path.basename(fullPath);
+  return {
+    name,
+    description: meta.description || null,
+    version: `${name}@${meta.version !== undefined ? `v${meta.version}` : 'v0'}#${hash}`,
+    body: body.trim()
+  };
+}
+
+/**
+ * Replaces `{{name}}` placeholders with `vars[name]`. Unknown placeholders are
+ * left empty and logged once per render so a typo in a template shows up.
+ */
+export function renderPrompt(template, vars) {
+  const missing = new Set();
+  const text = template.body.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (_, key) => {
+    if (vars[key] === undefined || vars[key] === null) {
+      missing.add(key);
+      return '';
+    }
+    return String(vars[key]);
+  });
+  if (missing.size) log(`Prompt ${template.version} has unknown variables:`, [...missing].join(', '));
+  return text;
+}
@@ -0,0 +1,38 @@
+/**
+ * lib/publishers/blogger.js
+ *
+ * Blogger posts (the client comes from app.js). Posts go to the target's
+ * `blogId`, or to the language's blog when the target has none.
+ */
+
+export function createBloggerPublisher({ blogger, blogId = null }) {
+  if (!blogger) throw new Error('Blogger target needs the Blogger client');
+
+  const body = post => ({
+    title: post.title,
+    content: post.html,
+    labels: post.labels.length ? post.labels : undefined,
+    // Blogger's "search description"
+    customMetaData: post.metaDescription || undefined
+  });
+
+  return {
+    async publish(post) {
+      const res = await blogger.posts.insert({
+        blogId: blogId || post.blogId,
+        requestBody: {
+          ...body(post),
+          // A future date makes Blogger schedule the post instead of publishing it now
+          published: post.publishAt ? post.publishAt.toISOString() : undefined
+        }
+      });
+      return { id: res.data.id, url: res.data.url || null };
+    },
+
+    // Rewrites the post in place (same URL, comments and publish date)
+    async update(id, post) {
+      const res = await blogger.posts.patch({ blogId: blogId || post.blogId, postId: id, requestBody: body(post) });
+      return { id, url: res.data.url || null };
+    }
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * lib/publishers/ghost.js
+ *
+ * Ghost Admin API. `adminKey` is the "id:secret" key of a custom
+ * integration; each request is signed with a short-lived JWT.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+const base64url = input => Buffer.from(input).toString('base64url');
+
+function adminToken(adminKey) {
+  const [id, secret] = adminKey.split(':');
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: id }));
+  const payload = base64url(JSON.stringify({ iat: now, exp: now + 300, aud: '/admin/' }));
+  const signature = crypto.createHmac('sha256', Buffer.from(secret, 'hex')).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+export function createGhostPublisher({ url, adminKey, version = 'v5.0', timeout = 30000 }) {
+  if (!url || !/^[0-9a-f]+:[0-9a-f]+$/i.test(adminKey || '')) throw new Error('Ghost target needs url and an "id:secret" adminKey');
+
+  const endpoint = `${url.replace(/\/$/, '')}/ghost/api/admin/posts`;
+  const headers = () => ({ Authorization: `Ghost ${adminToken(adminKey)}`, 'Accept-Version': version });
+
+  const body = post => ({
+    title: post.title,
+    html: post.html,
+    slug: post.slug || undefined,
+    tags: post.labels.map(name => ({ name })),
+    custom_excerpt: post.metaDescription ? post.metaDescription.slice(0, 300) : undefined,
+    meta_description: post.metaDescription || undefined,
+    feature_image: post.image || undefined
+  });
+
+  return {
+    async publish(post) {
+      const { data } = await axios.post(`${endpoint}/?source=html`, {
+        posts: [{
+          ...body(post),
+          status: post.publishAt ? 'scheduled' : 'published',
+          published_at: post.publishAt ? post.publishAt.toISOString() : undefined
+        }]
+      }, { headers: headers(), timeout });
+      return { id: data.posts[0].id, url: data.posts[0].url || null };
+    },
+
+    // Ghost rejects edits without the post's current updated_at
+    async update(id, post) {
+      const { data: current } = await axios.get(`${endpoint}/${id}/`, { headers: headers(), timeout });
+      const { data } = await axios.put(`${endpoint}/${id}/?source=html`, {
+        posts: [{ ...body(post), updated_at: current.posts[0].updated_at }]
+      }, { headers: headers(), timeout });
+      return { id, url: data.posts[0].url || null };
+    }
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * lib/publishers/index.js
+ *
+ * Where finished posts go: Blogger, WordPress (REST), Ghost (Admin API) or a
+ * static Markdown folder, any number of each. Routes send a feed's or a
+ * label's posts to one or more targets, and every target's result is
+ * recorded in the `publications` table, so a retry only repeats the targets
+ * that failed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { log } from '../util.js';
+import { createBloggerPublisher } from './blogger.js';
+import { createWordPressPublisher } from './wordpress.js';
+import { createGhostPublisher } from './ghost.js';
+import { createMarkdownPublisher } from './markdown.js';
+
+const BACKENDS = {
+  blogger: createBloggerPublisher,
+  wordpress: createWordPressPublisher,
+  ghost: createGhostPublisher,
+  markdown: createMarkdownPublisher
+};
+
+// Statuses that mean the post exists on the target
+const DONE = ['published', 'scheduled'];
+
+// `env:VAR_NAME` values, like the languages config
+function resolveEnv(settings, env) {
+  return Object.fromEntries(Object.entries(settings).map(([key, value]) => [
+    key,
+    typeof value === 'string' && value.startsWith('env:') ? env[value.slice(4)] : value
+  ]));
+}
+
+/**
+ * Reads TARGETS_CONFIG (JSON or YAML):
+ *   { targets: { name: { type, ...settings, languages? } },
+ *     routes: [{ feed | label, targets: [names] }], default: [names] }
+ * Without it every post goes to Blogger, to its language's blog, as before.
+ */
+export function loadTargetsConfig(configPath, { env = process.env } = {}) {
+  if (!configPath || !fs.existsSync(configPath)) {
+    return { targets: { blogger: { type: 'blogger' } }, disabled: [], routes: [], default: ['blogger'] };
+  }
+
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const ext = path.extname(configPath).toLowerCase();
+  const parsed = (ext === '.yaml' || ext === '.yml') ? YAML.parse(raw) : JSON.parse(raw);
+  if (!parsed?.targets || typeof parsed.targets !== 'object' || !Object.keys(parsed.targets).length) {
+    throw new Error(`Targets config ${configPath} must contain a "targets" object`);
+  }
+
+  const targets = {};
+  const disabled = [];
+  for (const [name, target] of Object.entries(parsed.targets)) {
+    const type = String(target?.type || '').toLowerCase();
+    if (!BACKENDS[type]) throw new Error(`Target "${name}" has unknown type "${target?.type}". Use ${Object.keys(BACKENDS).join(', ')}.`);
+    if (target.enabled === false) {
+      disabled.push(name);
+      continue;
+    }
+    targets[name] = { ...resolveEnv(target, env), type };
+  }
+
+  const routes = Array.isArray(parsed.routes) ? parsed.routes : [];
+  const defaults = parsed.default ? [].concat(parsed.default) : Object.keys(targets);
+  for (const names of [...routes.map(route => [].concat(route.targets || [])), defaults]) {
+    const unknown = names.filter(name => !parsed.targets[name]);
+    if (unknown.length) throw new Error(`Targets config ${configPath} routes to unknown target(s): ${unknown.join(', ')}`);
+  }
+  return { targets, disabled, routes, default: defaults };
+}
+
+/**
+ * Publishers for every configured target. `context.blogger` is the Blogger
+ * API client from app.js.
+ */
+export function createPublisher(config, db, context = {}) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS publications (
+      guid TEXT NOT NULL,
+      lang TEXT NOT NULL,
+      target TEXT NOT NULL,
+      type TEXT NOT NULL,
+      remote_id TEXT,
+      url TEXT,
+      status TEXT NOT NULL,
+      error TEXT,
+      published_at TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (guid, lang, target)
+    )
+  `).run();
+
+  // Backends are created on first use, so a target with missing settings
+  // only fails the posts routed to it
+  const backends = new Map();
+  function backendFor(name) {
+    if (!backends.has(name)) {
+      const { type, languages, enabled, ...settings } = config.targets[name];
+      backends.set(name, BACKENDS[type]({ ...settings, ...(type === 'blogger' ? { blogger: context.blogger } : {}) }));
+    }
+    return backends.get(name);
+  }
+
+  const record = db.prepare(`
+    INSERT INTO publications (guid, lang, target, type, remote_id, url, status, error, published_at, updated_at)
+    VALUES (@guid, @lang, @target, @type, @remoteId, @url, @status, @error, @publishedAt, datetime('now'))
+    ON CONFLICT(guid, lang, target) DO UPDATE SET
+      remote_id = COALESCE(excluded.remote_id, remote_id), url = COALESCE(excluded.url, url),
+      status = CASE WHEN excluded.status = 'failed' AND remote_id IS NOT NULL THEN status ELSE excluded.status END,
+      error = excluded.error, published_at = COALESCE(published_at, excluded.published_at), updated_at = datetime('now')
+  `);
+
+  return {
+    /**
+     * Target names for a post: the feed's own `targets`, else every route
+     * matching the feed or one of the labels, else the default. Targets
+     * limited to other `languages` are left out.
+     */
+    route({ feed = {}, labels = [], lang }) {
+      let names = Array.isArray(feed.targets) ? feed.targets : null;
+      if (!names) {
+        const lower = labels.map(label => label.toLowerCase());
+        names = config.routes
+          .filter(route => (route.feed && route.feed === feed.name)
+            || (route.label && lower.includes(String(route.label).toLowerCase())))
+          .flatMap(route => [].concat(route.targets || []));
+      }
+      if (!names.length) names = config.default;
+
+      return [...new Set(names)].filter(name => {
+        const target = config.targets[name];
+        if (!target && config.disabled.includes(name)) return false;
+        if (!target) throw new Error(`Feed "${feed.name}" routes to unknown target "${name}"`);
+        return !target.languages || target.languages.includes(lang);
+      });
+    },
+
+    /**
+     * Posts to every target in `names` and records each result. Targets
+     * that already have this post are skipped, unless `updateExisting`
+     * (a refresh), which updates them in place; `bloggerPostId` is the
+     * Blogger post of rows from before targets existed. Throws once every
+     * target was tried if any failed. Resolves to [{ target, type, id, url }].
+     *
+     * post: { title, html, labels, metaDescription, slug, image, language, blogId, publishAt };
+     * backends also get the item's `guid`
+     */
+    async publish({ guid, lang, names, post, updateExisting = false, bloggerPostId = null }) {
+      const results = [];
+      const errors = [];
+      const withGuid = { ...post, guid };
+
+      for (const name of names) {
+        const { type } = config.targets[name];
+        const existing = db.prepare('SELECT * FROM publications WHERE guid = ? AND lang = ? AND target = ?').get(guid, lang, name);
+        const remoteId = existing?.remote_id || (type === 'blogger' ? bloggerPostId : null);
+
+        if (!updateExisting && existing && DONE.includes(existing.status)) {
+          log(`Already on ${name}, skipping:`, existing.url || existing.remote_id);
+          results.push({ target: name, type, id: existing.remote_id, url: existing.url });
+          continue;
+        }
+
+        try {
+          const backend = backendFor(name);
+          const result = updateExisting && remoteId ? await backend.update(remoteId, withGuid) : await backend.publish(withGuid);
+          record.run({
+            guid, lang, target: name, type, remoteId: result.id, url: result.url, error: null,
+            status: post.publishAt && !(updateExisting && remoteId) ? 'scheduled' : 'published',
+            publishedAt: new Date().toISOString()
+          });
+          log(`${updateExisting && remoteId ? 'Updated' : 'Posted'} on ${name}:`, result.url || result.id || '(no url returned)');
+          results.push({ target: name, type, ...result });
+        } catch (err) {
+          const message = err?.response?.data?.message || err?.message || String(err);
+          log(`${name} (${type}) error:`, message);
+          record.run({ guid, lang, target: name, type, remoteId: null, url: null, status: 'failed', error: message, publishedAt: null });
+          errors.push(`${name}: ${message}`);
+        }
+      }
+
+      if (errors.length) throw new Error(`Publishing failed on ${errors.join('; ')}`);
+      return results;
+    },
+
+    results(guid, lang) {
+      return db.prepare('SELECT * FROM publications WHERE guid = ? AND lang = ? ORDER BY target').all(guid, lang);
+    }
+  };
+}
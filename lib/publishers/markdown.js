@@ -0,0 +1,83 @@
+/**
+ * lib/publishers/markdown.js
+ *
+ * Static sites: one Markdown file with YAML front matter per post, written
+ * into a Hugo (`content/posts`) or Jekyll (`_posts`) folder. The body stays
+ * HTML, which both render as-is (Hugo needs `markup.goldmark.renderer.unsafe`).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+// Front matter of an existing file, or null
+function frontMatterOf(file) {
+  if (!fs.existsSync(file)) return null;
+  const match = fs.readFileSync(file, 'utf8').match(/^---\n([\s\S]*?)\n---/);
+  return match ? YAML.parse(match[1]) || {} : {};
+}
+
+export function createMarkdownPublisher({ dir, format = 'hugo', baseUrl = '' }) {
+  if (!dir) throw new Error('Markdown target needs dir');
+  if (!['hugo', 'jekyll'].includes(format)) throw new Error('Markdown target format must be hugo or jekyll');
+
+  // Files carry the guid of their item, and one never replaces another
+  // item's file. Files from before guids were stored can still be updated.
+  function write(file, post, date, { update = false } = {}) {
+    const existing = frontMatterOf(file);
+    if (existing && existing.guid !== post.guid && (existing.guid || !update)) {
+      throw new Error(`${file} belongs to ${existing.guid ? `item ${existing.guid}` : 'another post'}, not overwriting it`);
+    }
+    const frontMatter = {
+      ...(format === 'jekyll' ? { layout: 'post' } : {}),
+      title: post.title,
+      date: date.toISOString(),
+      slug: post.slug || undefined,
+      description: post.metaDescription || undefined,
+      tags: post.labels,
+      image: post.image || undefined,
+      thumbnail: post.thumbnail || undefined,
+      lang: post.language || undefined,
+      guid: post.guid || undefined
+    };
+    const yaml = YAML.stringify(JSON.parse(JSON.stringify(frontMatter)), { lineWidth: 0 }).trim();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `---\n${yaml}\n---\n\n${post.html}\n`);
+  }
+
+  // Jekyll's URL is built from the date in the file name
+  function urlOf(slug, date) {
+    if (!baseUrl) return null;
+    const root = baseUrl.replace(/\/$/, '');
+    return format === 'jekyll'
+      ? `${root}/${date.toISOString().slice(0, 10).replace(/-/g, '/')}/${slug}.html`
+      : `${root}/${slug}/`;
+  }
+
+  return {
+    // The language and a hash of the guid keep translations and stories
+    // that share a slug in files of their own
+    async publish(post) {
+      const date = post.publishAt || new Date();
+      const slug = post.slug || `post-${date.getTime()}`;
+      const suffix = [post.language, post.guid && crypto.createHash('sha256').update(post.guid).digest('hex').slice(0, 8)]
+        .filter(Boolean).join('-');
+      const base = suffix ? `${slug}-${suffix}` : slug;
+      const name = format === 'jekyll' ? `${date.toISOString().slice(0, 10)}-${base}.md` : `${base}.md`;
+      write(path.join(dir, name), post, date);
+      // Both generators take the URL from `slug` when it is set, else from the file name
+      return { id: name, url: urlOf(post.slug || base, date) };
+    },
+
+    // The file name is the id; the original date is kept
+    async update(id, post) {
+      const file = path.join(dir, id);
+      const existing = frontMatterOf(file) || {};
+      const date = existing.date ? new Date(existing.date) : new Date();
+      const slug = post.slug || existing.slug || id.replace(/\.md$/, '').replace(/^\d{4}-\d{2}-\d{2}-/, '');
+      write(file, post, date, { update: true });
+      return { id, url: urlOf(slug, date) };
+    }
+  };
+}
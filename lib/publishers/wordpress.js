@@ -0,0 +1,59 @@
+/**
+ * lib/publishers/wordpress.js
+ *
+ * WordPress REST API (`/wp-json/wp/v2`) with an application password.
+ * Labels become tags, created on first use.
+ */
+
+import axios from 'axios';
+
+export function createWordPressPublisher({ url, username, password, status = 'publish', timeout = 30000 }) {
+  if (!url || !username || !password) throw new Error('WordPress target needs url, username and password');
+
+  const api = axios.create({
+    baseURL: `${url.replace(/\/$/, '')}/wp-json/wp/v2`,
+    auth: { username, password },
+    timeout
+  });
+  const tagIds = new Map();
+
+  async function tagId(name) {
+    const key = name.toLowerCase();
+    if (!tagIds.has(key)) {
+      const { data: found } = await api.get('/tags', { params: { search: name, per_page: 100 } });
+      const existing = found.find(tag => tag.name.toLowerCase() === key);
+      tagIds.set(key, existing ? existing.id : (await api.post('/tags', { name })).data.id);
+    }
+    return tagIds.get(key);
+  }
+
+  async function body(post) {
+    const tags = [];
+    for (const label of post.labels) tags.push(await tagId(label));
+    return {
+      title: post.title,
+      content: post.html,
+      excerpt: post.metaDescription || undefined,
+      slug: post.slug || undefined,
+      tags
+    };
+  }
+
+  return {
+    async publish(post) {
+      const { data } = await api.post('/posts', {
+        ...(await body(post)),
+        // WordPress publishes `future` posts at `date_gmt`; `date` would be
+        // read in the site's own timezone
+        status: post.publishAt ? 'future' : status,
+        date_gmt: post.publishAt ? post.publishAt.toISOString().slice(0, 19) : undefined
+      });
+      return { id: String(data.id), url: data.link || null };
+    },
+
+    async update(id, post) {
+      const { data } = await api.post(`/posts/${id}`, await body(post));
+      return { id: String(data.id), url: data.link || null };
+    }
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * lib/review.js
+ *
+ * Local review queue for PUBLISH_MODE=review. Prepared posts wait in SQLite
+ * until an editor approves, edits, schedules or rejects them from the CLI:
+ *
+ *   node app.js review list [--all]
+ *   node app.js review show <id>
+ *   node app.js review edit <id> [--title "..."] [--labels "a,b"]
+ *   node app.js review approve <id> [--title "..."] [--labels "a,b"]
+ *   node app.js review schedule <id> <date> [--title "..."] [--labels "a,b"]
+ *   node app.js review reject <id> [--note "..."]
+ */
+
+import { log } from './util.js';
+import { htmlToText } from './extractors/common.js';
+import { addColumnIfMissing, hasColumn, rebuildTable } from './db.js';
+
+const REVIEW_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS review_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guid TEXT,
+    link TEXT,
+    lang TEXT NOT NULL DEFAULT 'en',
+    blog_id TEXT,
+    feed TEXT,
+    title TEXT,
+    html TEXT,
+    labels TEXT,
+    status TEXT DEFAULT 'pending',
+    scheduled_for TEXT,
+    note TEXT,
+    blogger_post_id TEXT,
+    blogger_url TEXT,
+    queued_at TEXT DEFAULT (datetime('now')),
+    decided_at TEXT,
+    prompt_version TEXT,
+    meta_description TEXT,
+    UNIQUE (guid, lang)
+  )
+`;
+
+export function createReviewQueue(db) {
+  db.prepare(REVIEW_TABLE_SQL).run();
+  if (!hasColumn(db, 'review_queue', 'lang')) {
+    rebuildTable(db, 'review_queue', REVIEW_TABLE_SQL, [
+      'id', 'guid', 'link', 'feed', 'title', 'html', 'labels', 'status', 'scheduled_for', 'note',
+      'blogger_post_id', 'blogger_url', 'queued_at', 'decided_at'
+    ]);
+  }
+  addColumnIfMissing(db, 'review_queue', 'prompt_version', 'TEXT');
+  addColumnIfMissing(db, 'review_queue', 'meta_description', 'TEXT');
+  // The post's social card, sent to the targets as its image, and its square thumbnail
+  addColumnIfMissing(db, 'review_queue', 'image', 'TEXT');
+  addColumnIfMissing(db, 'review_queue', 'thumbnail', 'TEXT');
+
+  const toEntry = row => row && { ...row, labels: JSON.parse(row.labels || '[]') };
+
+  return {
+    enqueue({
+      guid, link, lang = 'en', blogId = null, feed, title, html, labels = [], promptVersion = null, metaDescription = null,
+      image = null, thumbnail = null, note = null, bloggerPostId = null, update = !!bloggerPostId
+    }) {
+      // `update` marks an update of a published post (`bloggerPostId` on
+      // Blogger) rather than a new one; it takes over the item's earlier
+      // (decided) queue row
+      const onConflict = update
+        ? `UPDATE SET blog_id = excluded.blog_id, title = excluded.title, html = excluded.html, labels = excluded.labels,
+             prompt_version = excluded.prompt_version, meta_description = excluded.meta_description, image = excluded.image,
+             thumbnail = excluded.thumbnail, note = excluded.note, blogger_post_id = excluded.blogger_post_id, status = 'pending', scheduled_for = NULL,
+             queued_at = datetime('now'), decided_at = NULL`
+        : 'NOTHING';
+      db.prepare(`
+        INSERT INTO review_queue
+          (guid, link, lang, blog_id, feed, title, html, labels, prompt_version, meta_description, image, thumbnail, note,
+           blogger_post_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (guid, lang) DO ${onConflict}
+      `).run(guid, link, lang, blogId, feed || null, title, html, JSON.stringify(labels), promptVersion, metaDescription, image,
+        thumbnail, note, bloggerPostId || null);
+      return db.prepare('SELECT id FROM review_queue WHERE guid = ? AND lang = ?').get(guid, lang).id;
+    },
+
+    list({ all = false } = {}) {
+      const sql = all
+        ? 'SELECT * FROM review_queue ORDER BY id DESC'
+        : "SELECT * FROM review_queue WHERE status = 'pending' ORDER BY id";
+      return db.prepare(sql).all().map(toEntry);
+    },
+
+    get(id) {
+      return toEntry(db.prepare('SELECT * FROM review_queue WHERE id = ?').get(id));
+    },
+
+    edit(id, { title, labels }) {
+      if (title) db.prepare('UPDATE review_queue SET title = ? WHERE id = ?').run(title, id);
+      if (labels) db.prepare('UPDATE review_queue SET labels = ? WHERE id = ?').run(JSON.stringify(labels), id);
+    },
+
+    /**
+     * Records an editor decision on the queue row and on the matching
+     * `posted` row, so the history shows what happened to every item.
+     */
+    decide(id, status, { note = null, scheduledFor = null, post = null } = {}) {
+      db.prepare(`
+        UPDATE review_queue
+        SET status = ?, note = COALESCE(?, note), scheduled_for = ?, blogger_post_id = COALESCE(?, blogger_post_id),
+            blogger_url = ?,
+            decided_at = datetime('now')
+        WHERE id = ?
+      `).run(status, note, scheduledFor, post?.id || null, post?.url || null, id);
+
+      const entry = this.get(id);
+      db.prepare(`
+        UPDATE posted
+        SET status = ?, reviewed_at = datetime('now'), blogger_post_id = COALESCE(?, blogger_post_id),
+            blogger_url = COALESCE(?, blogger_url), post_title = ?, labels = ?
+        WHERE guid = ? AND lang = ?
+      `).run(status, post?.id || null, post?.url || null, entry.title, JSON.stringify(entry.labels), entry.guid, entry.lang);
+      return entry;
+    }
+  };
+}
+
+function parseLabels(value) {
+  if (value === undefined) return undefined;
+  return String(value).split(',').map(l => l.trim()).filter(Boolean);
+}
+
+function printEntry(entry, { full = false } = {}) {
+  console.log(`#${entry.id} [${entry.status}] (${entry.lang}) ${entry.title}`);
+  console.log(`   feed: ${entry.feed || '-'}  blog: ${entry.blog_id || '-'}  queued: ${entry.queued_at}  labels: ${entry.labels.join(', ') || '-'}`);
+  if (entry.scheduled_for) console.log(`   scheduled for: ${entry.scheduled_for}`);
+  if (entry.blogger_url) console.log(`   url: ${entry.blogger_url}`);
+  if (entry.note) console.log(`   note: ${entry.note}`);
+  if (full && entry.prompt_version) console.log(`   prompt: ${entry.prompt_version}`);
+  if (full && entry.meta_description) console.log(`   description: ${entry.meta_description}`);
+  if (full) {
+    console.log(`   source: ${entry.link}`);
+    console.log('');
+    console.log(htmlToText(entry.html).slice(0, 1500));
+  }
+}
+
+/**
+ * `publish(entry, { publishAt })` is supplied by app.js and returns the
+ * Blogger post. A future `publishAt` creates a scheduled Blogger post; a
+ * returned `publishAt` means the post was scheduled into a free slot.
+ */
+export async function runReviewCommand(queue, [action = 'list', id, when], flags, { publish }) {
+  if (action === 'list') {
+    const entries = queue.list({ all: !!flags.all });
+    if (!entries.length) console.log('Review queue is empty.');
+    entries.forEach(e => printEntry(e));
+    return;
+  }
+
+  const entry = queue.get(Number(id));
+  if (!entry) throw new Error(`No review item with id ${id}`);
+
+  const changes = { title: flags.title, labels: parseLabels(flags.labels) };
+
+  switch (action) {
+    case 'show':
+      printEntry(entry, { full: true });
+      return;
+
+    case 'edit':
+      queue.edit(entry.id, changes);
+      printEntry(queue.get(entry.id));
+      return;
+
+    case 'approve':
+    case 'schedule': {
+      if (!['pending', 'failed'].includes(entry.status)) {
+        throw new Error(`Item #${entry.id} is already ${entry.status}`);
+      }
+      let publishAt = null;
+      if (action === 'schedule') {
+        publishAt = new Date(when || '');
+        if (Number.isNaN(publishAt.getTime())) throw new Error('Usage: review schedule <id> <date, e.g. 2025-01-31T09:00>');
+      }
+
+      queue.edit(entry.id, changes);
+      const updated = queue.get(entry.id);
+      try {
+        const post = await publish(updated, { publishAt });
+        // Approved posts may still be scheduled, into the next publishing slot
+        const scheduledFor = publishAt || post?.publishAt || null;
+        const status = scheduledFor ? 'scheduled' : 'published';
+        queue.decide(entry.id, status, { scheduledFor: scheduledFor?.toISOString() || null, post, note: flags.note });
+        log(`Item #${entry.id} ${status}:`, post?.url || post?.id || '(no url returned)');
+      } catch (err) {
+        queue.decide(entry.id, 'failed', { note: err?.message || String(err) });
+        throw err;
+      }
+      return;
+    }
+
+    case 'reject':
+      queue.decide(entry.id, 'rejected', { note: flags.note || null });
+      log(`Item #${entry.id} rejected.`);
+      return;
+
+    default:
+      throw new Error(`Unknown review action "${action}". Use list, show, edit, approve, schedule or reject.`);
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * lib/runs.js
+ *
+ * History of pipeline runs (cron ticks, startup and dashboard clicks) with
+ * what each one did, for the admin dashboard.
+ */
+
+const COUNTERS = ['items', 'published', 'queued', 'skipped', 'failed', 'prompt_tokens', 'completion_tokens'];
+
+/** Per-run counters, filled in by processItem(). */
+export function newRunStats() {
+  return Object.fromEntries(COUNTERS.map(key => [key, 0]));
+}
+
+export function createRunLog(db) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trigger TEXT,
+      status TEXT DEFAULT 'running',
+      started_at TEXT DEFAULT (datetime('now')),
+      finished_at TEXT,
+      ${COUNTERS.map(key => `${key} INTEGER DEFAULT 0`).join(',\n      ')},
+      error TEXT
+    )
+  `).run();
+
+  return {
+    /**
+     * Marks runs still "running" as cut short by a crash or restart. Only
+     * the bot and `admin` call it at startup; a CLI command next to a live
+     * bot must not touch its run.
+     */
+    recoverInterrupted() {
+      db.prepare("UPDATE runs SET status = 'interrupted' WHERE status = 'running'").run();
+    },
+
+    start(trigger) {
+      return db.prepare('INSERT INTO runs (trigger) VALUES (?)').run(trigger).lastInsertRowid;
+    },
+
+    finish(id, stats, error = null) {
+      db.prepare(`
+        UPDATE runs
+        SET status = @status, finished_at = datetime('now'), ${COUNTERS.map(key => `${key} = @${key}`).join(', ')}, error = @error
+        WHERE id = @id
+      `).run({ ...stats, status: error ? 'error' : 'done', error, id });
+    },
+
+    list(limit = 20) {
+      return db.prepare('SELECT * FROM runs ORDER BY id DESC LIMIT ?').all(limit);
+    }
+  };
+}
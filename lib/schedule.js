@@ -0,0 +1,187 @@
+/**
+ * lib/schedule.js
+ *
+ * Editorial pacing. Instead of going out the moment a cron tick prepares
+ * them, posts are given the next free publishing slot of their language
+ * (fixed times of day, or every N minutes), at most `maxPerDay` a day and
+ * never in the quiet hours, and are published with that future date. Slots
+ * are kept in the `schedule` table, so the plan survives restarts.
+ *
+ * Times of day are in the server's local time (set TZ).
+ */
+
+import { log } from './util.js';
+
+const DAY_MINUTES = 24 * 60;
+
+// "08:00" -> 480
+function parseTime(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || +match[1] > 23 || +match[2] > 59) throw new Error(`Invalid time "${value}", use HH:MM`);
+  return +match[1] * 60 + +match[2];
+}
+
+function isQuiet(minutes, quiet) {
+  if (!quiet) return false;
+  return quiet.start <= quiet.end
+    ? minutes >= quiet.start && minutes < quiet.end
+    : minutes >= quiet.start || minutes < quiet.end;
+}
+
+const formatTime = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Scheduler settings from the environment. Scheduling is on when any of
+ * SCHEDULE_SLOTS, SCHEDULE_SPACING_MINUTES, MAX_POSTS_PER_DAY or QUIET_HOURS
+ * is set; otherwise posts are published right away, as before.
+ */
+export function loadScheduleConfig(env = process.env) {
+  const enabled = ['SCHEDULE_SLOTS', 'SCHEDULE_SPACING_MINUTES', 'MAX_POSTS_PER_DAY', 'QUIET_HOURS'].some(key => env[key]);
+  const spacing = parseInt(env.SCHEDULE_SPACING_MINUTES || '60', 10);
+  if (!(spacing > 0)) throw new Error('SCHEDULE_SPACING_MINUTES must be a positive number');
+
+  let slots = env.SCHEDULE_SLOTS
+    ? env.SCHEDULE_SLOTS.split(',').filter(s => s.trim()).map(parseTime)
+    : Array.from({ length: Math.ceil(DAY_MINUTES / spacing) }, (_, i) => i * spacing);
+  let quiet = null;
+  if (env.QUIET_HOURS) {
+    const [start, end] = env.QUIET_HOURS.split('-');
+    if (!end) throw new Error(`Invalid QUIET_HOURS "${env.QUIET_HOURS}", use HH:MM-HH:MM`);
+    quiet = { start: parseTime(start), end: parseTime(end) };
+  }
+  slots = [...new Set(slots)].sort((a, b) => a - b).filter(minutes => !isQuiet(minutes, quiet));
+  if (enabled && !slots.length) throw new Error('Every publishing slot falls in QUIET_HOURS');
+
+  return {
+    enabled,
+    slots,
+    quiet,
+    maxPerDay: parseInt(env.MAX_POSTS_PER_DAY || '0', 10),
+    // A slot closer than this is skipped, so the post is still in the future when it reaches Blogger
+    leadMinutes: parseInt(env.SCHEDULE_LEAD_MINUTES || '5', 10),
+    horizonDays: parseInt(env.SCHEDULE_HORIZON_DAYS || '7', 10)
+  };
+}
+
+export function createScheduler(db, config) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS schedule (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guid TEXT NOT NULL,
+      lang TEXT NOT NULL,
+      title TEXT,
+      slot_at TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'reserved',
+      created_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (guid, lang),
+      UNIQUE (lang, slot_at)
+    )
+  `).run();
+
+  const find = (guid, lang) => db.prepare('SELECT * FROM schedule WHERE guid = ? AND lang = ?').get(guid, lang);
+
+  return {
+    config,
+    enabled: config.enabled,
+
+    /**
+     * The publishing time of a post: its earlier reservation (a retry), or
+     * the next free slot of its language within `horizonDays`. Returns null
+     * when every slot in that window is taken.
+     */
+    reserve({ guid, lang, title = null }, now = new Date()) {
+      const earliest = new Date(now.getTime() + config.leadMinutes * 60000);
+      const existing = find(guid, lang);
+      if (existing && (existing.status !== 'reserved' || new Date(existing.slot_at) >= earliest)) {
+        return new Date(existing.slot_at);
+      }
+      // A reservation whose time passed before the post went out is given up
+      if (existing) db.prepare('DELETE FROM schedule WHERE id = ?').run(existing.id);
+
+      const taken = new Set(db.prepare('SELECT slot_at FROM schedule WHERE lang = ? AND slot_at >= ?')
+        .all(lang, new Date(now.getTime() - DAY_MINUTES * 60000).toISOString()).map(row => row.slot_at));
+
+      for (let day = 0; day < config.horizonDays; day++) {
+        const dayStart = new Date(now);
+        dayStart.setHours(0, 0, 0, 0);
+        dayStart.setDate(dayStart.getDate() + day);
+        const dayEnd = new Date(dayStart);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+
+        if (config.maxPerDay) {
+          const { count } = db.prepare('SELECT COUNT(*) AS count FROM schedule WHERE lang = ? AND slot_at >= ? AND slot_at < ?')
+            .get(lang, dayStart.toISOString(), dayEnd.toISOString());
+          if (count >= config.maxPerDay) continue;
+        }
+
+        for (const minutes of config.slots) {
+          const slot = new Date(dayStart);
+          slot.setHours(0, minutes, 0, 0);
+          if (slot < earliest || taken.has(slot.toISOString())) continue;
+          db.prepare('INSERT INTO schedule (guid, lang, title, slot_at) VALUES (?, ?, ?, ?)').run(guid, lang, title, slot.toISOString());
+          return slot;
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Books the exact time `at` for a post (`review schedule <id> <date>`),
+     * replacing its earlier reservation. Throws when another post of the
+     * language already has that time.
+     */
+    book({ guid, lang, title = null }, at) {
+      const slotAt = at.toISOString();
+      const clash = db.prepare('SELECT * FROM schedule WHERE lang = ? AND slot_at = ? AND guid != ?').get(lang, slotAt, guid);
+      if (clash) throw new Error(`${at.toLocaleString()} is already taken by "${clash.title || clash.guid}" (${lang})`);
+      db.prepare(`
+        INSERT INTO schedule (guid, lang, title, slot_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (guid, lang) DO UPDATE SET title = excluded.title, slot_at = excluded.slot_at, status = 'reserved'
+      `).run(guid, lang, title, slotAt);
+      return at;
+    },
+
+    /** The post was handed to its targets with its slot's date. */
+    confirm(guid, lang) {
+      db.prepare("UPDATE schedule SET status = 'scheduled' WHERE guid = ? AND lang = ?").run(guid, lang);
+    },
+
+    release(guid, lang) {
+      db.prepare("DELETE FROM schedule WHERE guid = ? AND lang = ? AND status = 'reserved'").run(guid, lang);
+    },
+
+    /** Scheduled posts whose time has come; they are marked published. */
+    due(now = new Date()) {
+      const rows = db.prepare("SELECT * FROM schedule WHERE status = 'scheduled' AND slot_at <= ?").all(now.toISOString());
+      db.prepare("UPDATE schedule SET status = 'published' WHERE status = 'scheduled' AND slot_at <= ?").run(now.toISOString());
+      return rows;
+    },
+
+    upcoming(now = new Date()) {
+      return db.prepare("SELECT * FROM schedule WHERE status IN ('reserved', 'scheduled') AND slot_at > ? ORDER BY slot_at")
+        .all(now.toISOString());
+    }
+  };
+}
+
+/**
+ * CLI: `node app.js schedule` lists the planned posts and the slots in use.
+ */
+export function runScheduleCommand(scheduler) {
+  const { config } = scheduler;
+  if (!config.enabled) {
+    log('Scheduling is off: posts are published as soon as they are ready. Set SCHEDULE_SLOTS or SCHEDULE_SPACING_MINUTES to turn it on.');
+    return;
+  }
+  console.log(`Slots: ${config.slots.map(formatTime).join(', ')}`);
+  console.log(`Max per day: ${config.maxPerDay || 'no limit'}  quiet hours: ${config.quiet ? `${formatTime(config.quiet.start)}-${formatTime(config.quiet.end)}` : 'none'}`);
+  console.log('');
+  const rows = scheduler.upcoming();
+  if (!rows.length) {
+    console.log('Nothing planned.');
+    return;
+  }
+  for (const row of rows) {
+    console.log(`${new Date(row.slot_at).toLocaleString()}  [${row.status}] (${row.lang}) ${row.title || row.guid}`);
+  }
+}
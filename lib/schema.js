@@ -0,0 +1,82 @@
+/**
+ * lib/schema.js
+ *
+ * Minimal JSON Schema validator for the subset used by the generation
+ * schemas: type, required, properties, additionalProperties, items,
+ * enum, minLength/maxLength, minItems/maxItems and pattern.
+ */
+
+const TYPE_CHECKS = {
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: Array.isArray,
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: Number.isInteger,
+  boolean: v => typeof v === 'boolean'
+};
+
+/**
+ * Returns a list of human-readable errors; empty when `value` is valid.
+ */
+export function validateSchema(schema, value, at = '$') {
+  const errors = [];
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    errors.push(`${at} should be ${schema.type}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at} is shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} is longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} does not match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(schema.items, v, `${at}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(schema.properties[key], v, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+const WIRE_KEYWORDS = ['type', 'properties', 'required', 'items', 'enum', 'additionalProperties', 'description'];
+
+/**
+ * Copy of `schema` with only the keywords every structured-output API
+ * accepts. Length/pattern limits are still enforced by validateSchema().
+ */
+export function wireSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(wireSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const out = {};
+  for (const key of WIRE_KEYWORDS) {
+    if (schema[key] === undefined) continue;
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, wireSchema(v)]));
+    } else if (key === 'items') {
+      out.items = wireSchema(schema.items);
+    } else {
+      out[key] = schema[key];
+    }
+  }
+  return out;
+}
@@ -0,0 +1,97 @@
+/**
+ * lib/seo.js
+ *
+ * The SEO parts of a post besides the article itself: JSON-LD
+ * (NewsArticle, FAQPage), the visible FAQ section and the source
+ * attribution footer. Which parts are added is decided per feed.
+ */
+
+import { escapeHtml } from './util.js';
+
+export const SEO_PARTS = ['metaDescription', 'jsonLd', 'faq', 'attribution'];
+
+/**
+ * Merges the enabled parts from SEO_PARTS-style `defaults` (a list of names)
+ * with a feed's `seo` object, e.g. `{ "attribution": false }`.
+ */
+export function seoOptions(defaults, overrides = {}) {
+  return Object.fromEntries(SEO_PARTS.map(part => [part, overrides[part] ?? defaults.includes(part)]));
+}
+
+// `</script>` inside a JSON string would end the block early
+function jsonLdScript(data) {
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">\n${json}\n</script>\n`;
+}
+
+export function sourceName(link) {
+  try {
+    return new URL(link).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+export function newsArticleJsonLd({
+  headline, description, images = [], datePublished, dateModified, language, sourceUrl, publisher = {}, keywords = []
+}) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'NewsArticle',
+    headline: String(headline || '').slice(0, 110),
+    description: description || undefined,
+    image: images.filter(Boolean),
+    datePublished: datePublished || undefined,
+    dateModified: dateModified || datePublished || undefined,
+    inLanguage: language || undefined,
+    keywords: keywords.length ? keywords.join(', ') : undefined,
+    isBasedOn: sourceUrl || undefined,
+    publisher: publisher.name ? {
+      '@type': 'Organization',
+      name: publisher.name,
+      logo: publisher.logo ? { '@type': 'ImageObject', url: publisher.logo } : undefined
+    } : undefined
+  };
+  if (!data.image.length) delete data.image;
+  return jsonLdScript(data);
+}
+
+/**
+ * Changes the dates of the NewsArticle JSON-LD in a finished post, for posts
+ * built before their publishing time was known (review queue items).
+ */
+export function setArticleDates(html, dates) {
+  const given = Object.fromEntries(Object.entries(dates).filter(([, value]) => value));
+  return String(html).replace(/<script type="application\/ld\+json">\n([\s\S]*?)\n<\/script>\n?/g, (block, json) => {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (e) {
+      return block;
+    }
+    return data['@type'] === 'NewsArticle' ? jsonLdScript({ ...data, ...given }) : block;
+  });
+}
+
+export function faqJsonLd(faq) {
+  return jsonLdScript({
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: faq.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer }
+    }))
+  });
+}
+
+export function faqHtml(faq, { heading = 'Frequently Asked Questions' } = {}) {
+  const items = faq.map(({ question, answer }) => `  <h3>${escapeHtml(question)}</h3>\n  <p>${escapeHtml(answer)}</p>`);
+  return `<div class="post-faq">\n  <h2>${escapeHtml(heading)}</h2>\n${items.join('\n')}\n</div>\n`;
+}
+
+export function attributionHtml(link, { label = 'Source:' } = {}) {
+  const name = sourceName(link);
+  if (!name) return '';
+  return `<p class="source-attribution"><em>${escapeHtml(label)} <a href="${escapeHtml(link)}" rel="nofollow noopener" target="_blank">${escapeHtml(name)}</a></em></p>\n`;
+}
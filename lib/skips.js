@@ -0,0 +1,92 @@
+/**
+ * lib/skips.js
+ *
+ * Why items were not posted: filter rules, the relevance classifier,
+ * blacklisted sources and near-duplicates each leave a row in `skip_log`.
+ * An item with a row is not picked up again.
+ */
+
+import { log } from './util.js';
+
+export function createSkipLog(db) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS skip_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guid TEXT,
+      link TEXT,
+      feed TEXT,
+      title TEXT,
+      rule TEXT NOT NULL,
+      reason TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_skip_log_guid ON skip_log (guid)').run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_skip_log_link ON skip_log (link)').run();
+
+  return {
+    record({ guid, link = null, feed = null, title = null, rule, reason = null }) {
+      db.prepare('INSERT INTO skip_log (guid, link, feed, title, rule, reason) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(guid, link, feed, title, rule, reason);
+    },
+
+    has(guidOrLink) {
+      return !!db.prepare('SELECT 1 FROM skip_log WHERE guid = ? OR link = ?').get(guidOrLink, guidOrLink);
+    },
+
+    list({ rule = null, days = 30, limit = 100 } = {}) {
+      return db.prepare(`
+        SELECT * FROM skip_log WHERE created_at >= date('now', @since) ${rule ? 'AND rule = @rule' : ''}
+        ORDER BY id DESC LIMIT @limit
+      `).all({ since: `-${days} days`, rule, limit });
+    },
+
+    /** Skips per rule over the last `days`. */
+    counts(days = 30) {
+      return db.prepare(`
+        SELECT rule, COUNT(*) AS n FROM skip_log WHERE created_at >= date('now', ?) GROUP BY rule ORDER BY n DESC
+      `).all(`-${days} days`);
+    },
+
+    /** Drops a decision and returns it, or null. */
+    forget(id) {
+      const row = db.prepare('SELECT * FROM skip_log WHERE id = ?').get(id);
+      if (row) db.prepare('DELETE FROM skip_log WHERE id = ?').run(id);
+      return row || null;
+    }
+  };
+}
+
+/**
+ * CLI: `node app.js skips [list|forget <id>] [--rule exclude] [--days 30]`.
+ * A forgotten item is judged again on the next run if it is still in its
+ * feed; `onForget(entry)` puts its skipped jobs back in line.
+ */
+export function runSkipsCommand(skipLog, [action = 'list', id], flags = {}, { onForget = () => {} } = {}) {
+  const days = parseInt(flags.days || '30', 10);
+  switch (action) {
+    case 'list': {
+      const counts = skipLog.counts(days);
+      if (!counts.length) {
+        console.log(`Nothing skipped in the last ${days} days.`);
+        return;
+      }
+      console.log(`Skipped in the last ${days} days: ${counts.map(c => `${c.rule} ${c.n}`).join(', ')}\n`);
+      for (const row of skipLog.list({ rule: flags.rule || null, days })) {
+        console.log(`#${row.id} ${row.created_at} [${row.rule}] ${row.feed ? `(${row.feed}) ` : ''}${row.title || row.guid}`);
+        if (row.reason) console.log(`   ${row.reason}`);
+        if (row.link) console.log(`   source: ${row.link}`);
+      }
+      return;
+    }
+    case 'forget': {
+      const entry = skipLog.forget(Number(id));
+      if (!entry) throw new Error(`No skip log entry with id ${id}`);
+      onForget(entry);
+      log(`Skip #${id} forgotten; the item is checked again on the next run:`, entry.title || entry.guid);
+      return;
+    }
+    default:
+      throw new Error(`Unknown skips action "${action}". Use list or forget.`);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * lib/specs.js
+ *
+ * Device spec sheets from GSMArena. Finds the phones a news item is about
+ * (device links on the page, or a quick search by the name in the title),
+ * parses their spec pages and caches them in the `device_specs` table. The
+ * specs are rendered into the post and handed to the rewrite as facts.
+ */
+
+import * as cheerio from 'cheerio';
+import { escapeHtml } from './util.js';
+import { absoluteUrl, cleanText } from './extractors/common.js';
+
+const GSMARENA = 'https://www.gsmarena.com/';
+// Device pages look like samsung_galaxy_s25_ultra-13322.php
+const DEVICE_PAGE = /^https?:\/\/(?:www\.|m\.)?gsmarena\.com\/(?!news|reviews|related|compare|results)[a-z0-9_]+-\d+\.php$/i;
+
+const BRANDS = [
+  'Samsung', 'Apple', 'Xiaomi', 'Redmi', 'Poco', 'Google', 'OnePlus', 'Oppo', 'Vivo', 'Realme', 'Honor', 'Huawei',
+  'Motorola', 'Nokia', 'Sony', 'Asus', 'Nothing', 'Infinix', 'Tecno', 'ZTE', 'Nubia', 'Meizu', 'iQOO', 'Lenovo'
+];
+const BRAND_NAME = new RegExp(`\\b(${BRANDS.join('|')})\\s+((?:[A-Za-z0-9+]+\\s?){1,4})`, 'i');
+// Words that end a device name in a headline ("Galaxy S25 Ultra launched with ...")
+const NAME_STOPWORDS = /\b(is|are|gets|launched|launches|announced|unveiled|review|hands|with|and|in|on|to|for|now|goes|leaks?|renders?|price|specs)\b.*$/i;
+
+// The spec-sheet rows picked for the key specs box and the prompt facts
+const KEY_SPECS = [
+  ['display', 'Display', ['displaysize', 'displaytype', 'displayresolution']],
+  ['chipset', 'Chipset', ['chipset']],
+  ['memory', 'Memory', ['internalmemory']],
+  ['mainCamera', 'Main camera', ['cam1modules']],
+  ['selfieCamera', 'Selfie camera', ['cam2modules']],
+  ['battery', 'Battery', ['batdescription1']],
+  ['os', 'OS', ['os']],
+  ['announced', 'Announced', ['year']],
+  ['status', 'Status', ['status']],
+  ['price', 'Price', ['price']]
+];
+
+export function findDeviceLinks(html, baseUrl) {
+  const $ = cheerio.load(html || '');
+  const links = [];
+  $('a[href]').each((_, el) => {
+    const url = absoluteUrl($(el).attr('href'), baseUrl || GSMARENA);
+    if (url && DEVICE_PAGE.test(url) && !links.includes(url)) links.push(url);
+  });
+  return links;
+}
+
+/** "Samsung Galaxy S25 Ultra" from a headline, or null. */
+export function deviceNameFromTitle(title) {
+  const match = String(title || '').match(BRAND_NAME);
+  if (!match) return null;
+  const name = `${match[1]} ${match[2]}`.replace(NAME_STOPWORDS, '').trim();
+  return name.split(/\s+/).length >= 2 ? name : null;
+}
+
+/** First device from a GSMArena quick-search results page. */
+export function parseSearchResults(html) {
+  const $ = cheerio.load(html || '');
+  const href = $('.makers li a[href]').first().attr('href');
+  return href ? absoluteUrl(href, GSMARENA) : null;
+}
+
+export function parseDevicePage(html, url) {
+  const $ = cheerio.load(html || '');
+  const name = cleanText($('[data-spec="modelname"]').first().text()) || cleanText($('h1').first().text());
+  if (!name) return null;
+
+  const rows = [];
+  const bySpec = {};
+  $('#specs-list table').each((_, table) => {
+    const group = cleanText($(table).find('th').first().text());
+    $(table).find('tr').each((__, tr) => {
+      const label = cleanText($(tr).find('td.ttl').text());
+      const $value = $(tr).find('td.nfo');
+      const value = cleanText($value.text());
+      if (!value) return;
+      rows.push({ group, name: label || group, value });
+      const key = $value.attr('data-spec');
+      if (key) bySpec[key] = value;
+    });
+  });
+  if (!rows.length) return null;
+
+  const specs = {};
+  for (const [key, , sources] of KEY_SPECS) {
+    const value = sources.map(s => bySpec[s]).filter(Boolean).join(', ');
+    if (value) specs[key] = value;
+  }
+
+  return {
+    name,
+    url,
+    image: absoluteUrl($('.specs-photo-main img').attr('src'), url),
+    specs,
+    rows
+  };
+}
+
+export function createSpecCache(db, { maxAgeDays = 30 } = {}) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS device_specs (
+      url TEXT PRIMARY KEY,
+      name TEXT,
+      data TEXT,
+      fetched_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+
+  return {
+    get(url) {
+      const row = db.prepare(`
+        SELECT data FROM device_specs WHERE url = ? AND fetched_at >= datetime('now', ?)
+      `).get(url, `-${maxAgeDays} days`);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    put(device) {
+      db.prepare(`
+        INSERT OR REPLACE INTO device_specs (url, name, data, fetched_at) VALUES (?, ?, ?, datetime('now'))
+      `).run(device.url, device.name, JSON.stringify(device));
+    }
+  };
+}
+
+/**
+ * Spec sheets for the devices an item is about, from the cache or GSMArena.
+ * `fetchPage(url)` resolves to HTML or null. Devices that cannot be fetched
+ * or parsed are left out.
+ */
+export async function lookupDevices({ pageHtml, link, title }, { fetchPage, cache, maxDevices = 2 }) {
+  let urls = findDeviceLinks(pageHtml, link).slice(0, maxDevices);
+
+  if (!urls.length) {
+    const name = deviceNameFromTitle(title);
+    if (!name) return [];
+    const results = await fetchPage(`${GSMARENA}results.php3?sQuickSearch=yes&sName=${encodeURIComponent(name)}`);
+    const found = parseSearchResults(results);
+    if (!found) return [];
+    urls = [found];
+  }
+
+  const devices = [];
+  for (const url of urls) {
+    let device = cache.get(url);
+    if (!device) {
+      device = parseDevicePage(await fetchPage(url), url);
+      if (device) cache.put(device);
+    }
+    if (device) devices.push(device);
+  }
+  return devices;
+}
+
+/** Plain-text facts for the prompt's {{facts}}. */
+export function specFacts(devices) {
+  return devices.map(device => [
+    `${device.name}:`,
+    ...KEY_SPECS.filter(([key]) => device.specs[key]).map(([key, label]) => `- ${label}: ${device.specs[key]}`)
+  ].join('\n')).join('\n\n');
+}
+
+export function keySpecsHtml(device, { heading = 'Key specs' } = {}) {
+  const items = KEY_SPECS
+    .filter(([key]) => device.specs[key])
+    .map(([key, label]) => `    <li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(device.specs[key])}</li>`);
+  if (!items.length) return '';
+  return `<div class="key-specs" style="border: 1px solid #ddd; border-radius: 8px; padding: 12px 16px; margin: 20px 0; background: #f8f9fb;">
+  <h3 style="margin-top: 0;">${escapeHtml(heading)}: ${escapeHtml(device.name)}</h3>
+  <ul style="margin: 0; padding-left: 18px;">
+${items.join('\n')}
+  </ul>
+</div>\n`;
+}
+
+export function specTableHtml(device, { heading = 'Full specifications' } = {}) {
+  let lastGroup = null;
+  const rows = device.rows.map(row => {
+    const group = row.group !== lastGroup ? escapeHtml(row.group) : '';
+    lastGroup = row.group;
+    return `    <tr><th style="text-align: left; padding: 6px; vertical-align: top;">${group}</th><td style="padding: 6px; color: #555;">${escapeHtml(row.name)}</td><td style="padding: 6px;">${escapeHtml(row.value)}</td></tr>`;
+  });
+  return `<div class="spec-table">
+  <h2>${escapeHtml(heading)}: ${escapeHtml(device.name)}</h2>
+  <table style="width: 100%; border-collapse: collapse; font-size: 0.95em;">
+${rows.join('\n')}
+  </table>
+</div>\n`;
+}
@@ -0,0 +1,25 @@
+/**
+ * lib/storage/blogger.js
+ *
+ * Blogger media upload (the client comes from app.js)
+ */
+
+export function createBloggerStorage({ blogger, blogId }) {
+  return {
+    async upload({ buffer, fileName, mimeType, title }) {
+      const media = await blogger.media.insert({
+        blogId,
+        media: {
+          mimeType,
+          data: buffer.toString('base64')
+        },
+        requestBody: {
+          title: `Watermarked image for ${title}`,
+          fileName
+        }
+      });
+      if (!media?.data?.url) throw new Error('Blogger returned no image URL');
+      return media.data.url;
+    }
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * lib/storage/imgur.js
+ *
+ * Anonymous Imgur uploads with a Client-ID
+ */
+
+import axios from 'axios';
+
+export function createImgurStorage({ clientId, baseURL = 'https://api.imgur.com', timeout = 60000 }) {
+  if (!clientId) throw new Error('Imgur storage needs IMGUR_CLIENT_ID');
+
+  return {
+    async upload({ buffer, title }) {
+      const res = await axios.post(`${baseURL.replace(/\/$/, '')}/3/image`, {
+        image: buffer.toString('base64'),
+        type: 'base64',
+        title
+      }, {
+        headers: { Authorization: `Client-ID ${clientId}` },
+        timeout
+      });
+      if (!res.data?.success || !res.data.data?.link) throw new Error('Imgur upload was not successful');
+      return res.data.data.link;
+    }
+  };
+}
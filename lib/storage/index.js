@@ -0,0 +1,98 @@
+/**
+ * lib/storage/index.js
+ *
+ * One interface for wherever processed images are hosted: Blogger media,
+ * Imgur, S3-compatible storage or a local/static directory. Uploads are keyed
+ * by the SHA-256 of the image in the `image_cache` table, so the same
+ * processed image is uploaded once per backend, across runs.
+ */
+
+import crypto from 'crypto';
+import { log } from '../util.js';
+import { FORMAT_EXTENSIONS } from '../branding.js';
+import { createBloggerStorage } from './blogger.js';
+import { createImgurStorage } from './imgur.js';
+import { createS3Storage } from './s3.js';
+import { createLocalStorage } from './local.js';
+
+const BACKENDS = {
+  blogger: createBloggerStorage,
+  imgur: createImgurStorage,
+  s3: createS3Storage,
+  local: createLocalStorage
+};
+
+/**
+ * Backend settings from the environment. `blogger` needs the API client and
+ * blog ID, which app.js passes in `context`.
+ */
+export function loadStorageConfig(env = process.env, context = {}) {
+  const type = (env.IMAGE_STORAGE || 'blogger').toLowerCase();
+  const settings = {
+    blogger: { blogger: context.blogger, blogId: context.blogId },
+    imgur: { clientId: env.IMGUR_CLIENT_ID },
+    s3: {
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION,
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      publicUrl: env.S3_PUBLIC_URL,
+      acl: env.S3_ACL
+    },
+    local: { dir: env.LOCAL_IMAGE_DIR, baseUrl: env.LOCAL_IMAGE_BASE_URL }
+  };
+  if (!BACKENDS[type]) throw new Error(`Unknown IMAGE_STORAGE "${type}". Use ${Object.keys(BACKENDS).join(', ')}.`);
+
+  // Unset values are dropped so the backend defaults apply
+  const config = Object.fromEntries(Object.entries(settings[type]).filter(([, v]) => v !== undefined && v !== ''));
+  return { type, prefix: env.IMAGE_STORAGE_PREFIX || 'images', ...config };
+}
+
+export function createImageStore(config, db) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS image_cache (
+      sha256 TEXT NOT NULL,
+      backend TEXT NOT NULL,
+      url TEXT NOT NULL,
+      bytes INTEGER,
+      created_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (sha256, backend)
+    )
+  `).run();
+
+  const backend = BACKENDS[config.type](config);
+
+  return {
+    type: config.type,
+
+    /**
+     * Uploads `buffer` (encoded as `format`) unless this exact image is
+     * already stored, and resolves to its public URL. Upload errors are
+     * thrown; callers decide whether to fall back or skip the image.
+     */
+    async put(buffer, { format = 'jpeg', title = '' } = {}) {
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      const cached = db.prepare('SELECT url FROM image_cache WHERE sha256 = ? AND backend = ?').get(sha256, config.type);
+      if (cached) {
+        log('Image already stored, reusing:', cached.url);
+        return cached.url;
+      }
+
+      const ext = FORMAT_EXTENSIONS[format] || format;
+      // Content-addressed names: a re-upload overwrites the same object
+      const key = `${config.prefix}/${sha256.slice(0, 2)}/${sha256}.${ext}`;
+      const url = await backend.upload({
+        buffer,
+        key,
+        fileName: `${sha256.slice(0, 16)}.${ext}`,
+        mimeType: `image/${format}`,
+        title
+      });
+
+      db.prepare('INSERT OR REPLACE INTO image_cache (sha256, backend, url, bytes) VALUES (?, ?, ?, ?)')
+        .run(sha256, config.type, url, buffer.length);
+      return url;
+    }
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * lib/storage/local.js
+ *
+ * Writes images into a directory, e.g. one served by nginx or a static host.
+ * `baseUrl` is the public URL of that directory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function createLocalStorage({ dir, baseUrl }) {
+  if (!dir) throw new Error('Local storage needs LOCAL_IMAGE_DIR');
+  if (!baseUrl) throw new Error('Local storage needs LOCAL_IMAGE_BASE_URL');
+
+  return {
+    async upload({ buffer, key }) {
+      const file = path.join(dir, key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, buffer);
+      return `${baseUrl.replace(/\/$/, '')}/${key}`;
+    }
+  };
+}
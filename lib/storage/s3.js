@@ -0,0 +1,79 @@
+/**
+ * lib/storage/s3.js
+ *
+ * PUT to any S3-compatible storage (AWS S3, MinIO, Cloudflare R2, Backblaze
+ * B2) with an AWS Signature V4, so no SDK is needed. Uses path-style URLs
+ * (`endpoint/bucket/key`), which every one of them accepts.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+const sha256Hex = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+export function createS3Storage({
+  endpoint = 'https://s3.amazonaws.com',
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  acl,
+  timeout = 60000
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const base = new URL(endpoint);
+
+  return {
+    async upload({ buffer, key, mimeType }) {
+      const objectPath = `${base.pathname.replace(/\/$/, '')}/${bucket}/${encodeKey(key)}`;
+      const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+      const day = amzDate.slice(0, 8);
+      const payloadHash = sha256Hex(buffer);
+
+      const headers = {
+        'content-type': mimeType,
+        host: base.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+      };
+      if (acl) headers['x-amz-acl'] = acl;
+
+      const signedHeaders = Object.keys(headers).sort();
+      const canonicalRequest = [
+        'PUT',
+        objectPath,
+        '',
+        ...signedHeaders.map(h => `${h}:${headers[h]}`),
+        '',
+        signedHeaders.join(';'),
+        payloadHash
+      ].join('\n');
+      const scope = `${day}/${region}/s3/aws4_request`;
+      const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+      const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+      const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+      const { host, ...sendHeaders } = headers;
+      await axios.put(`${base.origin}${objectPath}`, buffer, {
+        headers: {
+          ...sendHeaders,
+          Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+        },
+        maxBodyLength: Infinity,
+        timeout
+      });
+
+      return publicUrl
+        ? `${publicUrl.replace(/\/$/, '')}/${encodeKey(key)}`
+        : `${base.origin}${objectPath}`;
+    }
+  };
+}
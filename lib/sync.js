@@ -0,0 +1,212 @@
+/**
+ * lib/sync.js
+ *
+ * Keeps the `posted` table in step with Blogger, which the bot otherwise
+ * only ever writes to:
+ *
+ *   node app.js sync [--dry-run]
+ *   node app.js update <guid> [--lang ur]  |  update --changed [--days 7]
+ *   node app.js cleanup [--guid g] [--label L] [--before 2025-01-01] [--lang ur] [--delete] [--dry-run]
+ *
+ * The Blogger client is passed in; test/sync.test.js runs all of it against a stub.
+ */
+
+import crypto from 'crypto';
+import { log } from './util.js';
+
+// Blogger post status -> posted.status
+const STATUS = { LIVE: 'published', SCHEDULED: 'scheduled', DRAFT: 'unpublished' };
+// Statuses that mean "there is a post on Blogger"
+const ON_BLOGGER = ['published', 'scheduled', 'unpublished'];
+
+/** Hash of a source article's text, to spot stories the source has edited. */
+export function sourceHash(text) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  return normalized ? crypto.createHash('sha256').update(normalized).digest('hex') : null;
+}
+
+async function* listPosts(blogger, blogId) {
+  let pageToken;
+  do {
+    const res = await blogger.posts.list({
+      blogId,
+      view: 'ADMIN',
+      status: ['live', 'scheduled', 'draft'],
+      fetchBodies: true,
+      maxResults: 50,
+      pageToken
+    });
+    yield* res.data.items || [];
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+}
+
+// The original article, from the attribution footer (lib/seo.js)
+function sourceLinkOf(content) {
+  const match = String(content || '').match(/class="source-attribution"[\s\S]*?href="([^"]+)"/);
+  return match ? match[1].replace(/&amp;/g, '&') : null;
+}
+
+// Posts on a blog shared by several languages: RTL posts carry lang="..."
+function languageOf(content, codes) {
+  const match = String(content || '').match(/<div dir="rtl" lang="([\w-]+)"/);
+  return match && codes.includes(match[1]) ? match[1] : codes[0];
+}
+
+/**
+ * Reconciles one blog with the `posted` rows of `codes` (the languages that
+ * post to it). Posts we know are refreshed (title, labels, URL, status),
+ * posts we do not know are imported, and rows whose post is gone are marked
+ * `deleted`. Returns the counts.
+ */
+export async function syncBlog(db, blogger, { blogId, codes, dryRun = false }) {
+  const counts = { seen: 0, imported: 0, updated: 0, deleted: 0 };
+  const seen = new Set();
+  const byPostId = db.prepare('SELECT * FROM posted WHERE blogger_post_id = ?');
+  const bySource = db.prepare('SELECT * FROM posted WHERE (guid = ? OR link = ?) AND lang = ? AND blogger_post_id IS NULL');
+
+  for await (const post of listPosts(blogger, blogId)) {
+    counts.seen++;
+    seen.add(post.id);
+    const status = STATUS[post.status] || 'published';
+    const labels = JSON.stringify(post.labels || []);
+    const link = sourceLinkOf(post.content);
+    const row = byPostId.get(post.id) || (link && bySource.get(link, link, languageOf(post.content, codes)));
+
+    if (row) {
+      const changed = row.blogger_post_id !== post.id || row.blogger_url !== post.url || row.post_title !== post.title
+        || row.labels !== labels || row.status !== status;
+      if (!changed) continue;
+      counts.updated++;
+      log(`Sync: updating ${row.guid} (${row.lang}) from Blogger post ${post.id}`);
+      if (!dryRun) {
+        db.prepare(`
+          UPDATE posted SET blogger_post_id = ?, blogger_url = ?, post_title = ?, labels = ?, status = ? WHERE id = ?
+        `).run(post.id, post.url || null, post.title, labels, status, row.id);
+      }
+      continue;
+    }
+
+    const lang = languageOf(post.content, codes);
+    log(`Sync: importing Blogger post ${post.id} (${lang}):`, post.title);
+    if (dryRun) {
+      counts.imported++;
+      continue;
+    }
+    // A second Blogger post for a source we already have a post of is left alone
+    counts.imported += db.prepare(`
+      INSERT OR IGNORE INTO posted (guid, link, lang, title, published_at, status, blogger_post_id, blogger_url, post_title, labels)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(link || `blogger:${post.id}`, link, lang, post.title, post.published || null, status, post.id, post.url || null, post.title, labels).changes;
+  }
+
+  const missing = db.prepare(`
+    SELECT * FROM posted
+    WHERE blogger_post_id IS NOT NULL AND status IN (${ON_BLOGGER.map(() => '?').join(', ')})
+      AND lang IN (${codes.map(() => '?').join(', ')})
+  `).all(...ON_BLOGGER, ...codes).filter(row => !seen.has(row.blogger_post_id));
+  for (const row of missing) {
+    counts.deleted++;
+    log(`Sync: post ${row.blogger_post_id} of ${row.guid} (${row.lang}) is gone from Blogger`);
+    if (!dryRun) db.prepare("UPDATE posted SET status = 'deleted' WHERE id = ?").run(row.id);
+  }
+  return counts;
+}
+
+// Blogs and the languages that post to each
+function blogsOf(languages) {
+  const blogs = new Map();
+  for (const language of languages) {
+    if (!language.blogId) continue;
+    if (!blogs.has(language.blogId)) blogs.set(language.blogId, []);
+    blogs.get(language.blogId).push(language.code);
+  }
+  return blogs;
+}
+
+export async function runSyncCommand(db, blogger, flags, { languages }) {
+  const dryRun = !!flags['dry-run'];
+  for (const [blogId, codes] of blogsOf(languages)) {
+    const counts = await syncBlog(db, blogger, { blogId, codes, dryRun });
+    log(`Blog ${blogId} (${codes.join(', ')}): ${counts.seen} posts, ${counts.imported} imported, ${counts.updated} updated, ${counts.deleted} gone${dryRun ? ' (dry run, nothing saved)' : ''}`);
+  }
+}
+
+/**
+ * Puts posts back through the pipeline; the next run rewrites them and
+ * updates the existing post on each target. `update <guid>` refreshes one item,
+ * `update --changed` every post of the last `--days` whose source text
+ * changed. `fetchSourceText(link)` comes from app.js.
+ */
+export async function runUpdateCommand(db, jobs, [guid], flags, { fetchSourceText }) {
+  let rows;
+  if (flags.changed) {
+    const days = parseInt(flags.days || '7', 10);
+    const recent = db.prepare(`
+      SELECT * FROM posted
+      WHERE status = 'published' AND link IS NOT NULL AND posted_at >= datetime('now', ?)
+    `).all(`-${days} days`);
+    rows = [];
+    for (const row of recent) {
+      const hash = sourceHash(await fetchSourceText(row.link));
+      if (!hash) continue;
+      if (!row.source_hash) {
+        // Older rows get a baseline now and are compared from the next check on
+        db.prepare('UPDATE posted SET source_hash = ? WHERE id = ?').run(hash, row.id);
+      } else if (hash !== row.source_hash) {
+        rows.push(row);
+      }
+    }
+    log(`${recent.length} recent posts checked, ${rows.length} changed at the source`);
+  } else {
+    if (!guid) throw new Error('Usage: update <guid> [--lang xx] | update --changed [--days 7]');
+    rows = db.prepare("SELECT * FROM posted WHERE guid = ? AND status = 'published'").all(guid)
+      .filter(row => !flags.lang || row.lang === flags.lang);
+    if (!rows.length) throw new Error(`No published post recorded for ${guid}${flags.lang ? ` (${flags.lang})` : ''}`);
+  }
+
+  for (const row of rows) {
+    jobs.ensure({ guid: row.guid, link: row.link, lang: row.lang, feed: null, title: row.title, source: { guid: row.guid, link: row.link, title: row.title } });
+    const job = jobs.find(row.guid, row.lang);
+    jobs.restart(job.id, { refresh: { postId: row.blogger_post_id } });
+    log(`Queued update of ${row.blogger_url || row.guid} (${row.lang}):`, row.post_title || row.title);
+  }
+}
+
+/**
+ * Unpublishes (reverts to draft) or, with --delete, deletes the posts that
+ * match every given filter. At least one filter is required.
+ */
+export async function runCleanupCommand(db, blogger, flags, { languages }) {
+  if (!flags.guid && !flags.label && !flags.before) {
+    throw new Error('Usage: cleanup [--guid g] [--label L] [--before 2025-01-01] [--lang xx] [--delete] [--dry-run]');
+  }
+  const filters = [['guid = ?', flags.guid], ['lang = ?', flags.lang], ['posted_at < datetime(?)', flags.before]]
+    .filter(([, value]) => value);
+  // Drafts can still be deleted; unpublishing them again does nothing
+  const statuses = flags.delete ? ON_BLOGGER : ['published', 'scheduled'];
+  const where = [
+    'blogger_post_id IS NOT NULL',
+    `status IN (${statuses.map(() => '?').join(', ')})`,
+    ...filters.map(([sql]) => sql)
+  ];
+
+  const rows = db.prepare(`SELECT * FROM posted WHERE ${where.join(' AND ')}`).all(...statuses, ...filters.map(([, value]) => value))
+    .filter(row => !flags.label || JSON.parse(row.labels || '[]').some(l => l.toLowerCase() === flags.label.toLowerCase()));
+  const dryRun = !!flags['dry-run'];
+  const verb = flags.delete ? 'delete' : 'unpublish';
+
+  for (const row of rows) {
+    const blogId = languages.find(l => l.code === row.lang)?.blogId;
+    if (!blogId) {
+      log(`No blog configured for ${row.lang}, skipping post ${row.blogger_post_id}`);
+      continue;
+    }
+    log(`${dryRun ? 'Would' : 'Going to'} ${verb} post ${row.blogger_post_id} (${row.lang}):`, row.post_title || row.title);
+    if (dryRun) continue;
+    if (flags.delete) await blogger.posts.delete({ blogId, postId: row.blogger_post_id });
+    else await blogger.posts.revert({ blogId, postId: row.blogger_post_id });
+    db.prepare('UPDATE posted SET status = ? WHERE id = ?').run(flags.delete ? 'deleted' : 'unpublished', row.id);
+  }
+  if (!rows.length) log('No posts match.');
+}
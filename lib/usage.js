@@ -0,0 +1,204 @@
+/**
+ * lib/usage.js
+ *
+ * What generation costs. Every completion's tokens are stored in the
+ * `llm_usage` table with the item, language, feed and model it was for, and
+ * priced from the model price table. Daily and monthly caps either pause
+ * generation until the next day/month or switch to each provider's cheaper
+ * `fallbackModel`.
+ *
+ * Days and months are UTC.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { log } from './util.js';
+
+// USD per 1M tokens. A model name matches its longest listed prefix, so
+// dated versions ("gpt-4o-mini-2024-07-18") use their family's price.
+export const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 }
+};
+
+const REPORTS = {
+  day: { columns: 'date(created_at) AS day', group: 'day', order: 'day DESC' },
+  feed: { columns: "COALESCE(feed, '-') AS feed", group: 'feed', order: 'cost DESC' },
+  post: { columns: 'guid, GROUP_CONCAT(DISTINCT lang) AS languages, MAX(title) AS title, MIN(created_at) AS first_at', group: 'guid', order: 'first_at DESC' },
+  model: { columns: 'provider, model', group: 'provider, model', order: 'cost DESC' }
+};
+
+/**
+ * Reads PRICES_CONFIG (JSON or YAML): { "model-name": { input, output } } in
+ * USD per 1M tokens. Entries are added to (or replace) the built-in prices.
+ */
+export function loadPrices(configPath) {
+  if (!configPath || !fs.existsSync(configPath)) return { ...DEFAULT_PRICES };
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const ext = path.extname(configPath).toLowerCase();
+  const parsed = (ext === '.yaml' || ext === '.yml') ? YAML.parse(raw) : JSON.parse(raw);
+  if (!parsed || typeof parsed !== 'object') throw new Error(`Prices config ${configPath} must be an object of model names`);
+
+  for (const [model, price] of Object.entries(parsed)) {
+    if (!(Number(price?.input) >= 0) || !(Number(price?.output) >= 0)) {
+      throw new Error(`Price of "${model}" in ${configPath} needs numeric "input" and "output" (USD per 1M tokens)`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...parsed };
+}
+
+/**
+ * Budget settings from the environment: DAILY_BUDGET_USD, MONTHLY_BUDGET_USD
+ * (0 or unset = no cap) and BUDGET_ACTION (`pause` or `fallback`).
+ */
+export function loadBudgetConfig(env = process.env) {
+  const action = (env.BUDGET_ACTION || 'pause').toLowerCase();
+  if (!['pause', 'fallback'].includes(action)) throw new Error(`Invalid BUDGET_ACTION "${env.BUDGET_ACTION}", use pause or fallback`);
+  return {
+    daily: parseFloat(env.DAILY_BUDGET_USD || '0') || 0,
+    monthly: parseFloat(env.MONTHLY_BUDGET_USD || '0') || 0,
+    action
+  };
+}
+
+const usd = amount => `$${(amount || 0).toFixed(!amount || amount >= 1 ? 2 : amount >= 0.01 ? 4 : 6)}`;
+
+export function createUsageLedger(db, { prices = DEFAULT_PRICES, budget = { daily: 0, monthly: 0, action: 'pause' } } = {}) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guid TEXT,
+      lang TEXT,
+      feed TEXT,
+      title TEXT,
+      provider TEXT,
+      model TEXT,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      cost REAL,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage (created_at)').run();
+
+  const byLength = Object.keys(prices).sort((a, b) => b.length - a.length);
+  const unpriced = new Set();
+
+  /** USD for `usage` on `model`, or null when the model has no price. */
+  function costOf(model, usage) {
+    const key = prices[model] ? model : byLength.find(name => String(model).startsWith(name));
+    if (!key) {
+      if (!unpriced.has(model)) log(`No price for model "${model}"; its usage is stored without a cost. Add it to PRICES_CONFIG.`);
+      unpriced.add(model);
+      return null;
+    }
+    const { input, output } = prices[key];
+    return ((usage.prompt_tokens || 0) * input + (usage.completion_tokens || 0) * output) / 1e6;
+  }
+
+  const spentSince = since => db.prepare(`SELECT COALESCE(SUM(cost), 0) AS spent FROM llm_usage WHERE created_at >= date('now', ${since})`).get().spent;
+
+  const ledger = {
+    costOf,
+
+    record({ guid = null, lang = null, feed = null, title = null, provider = null, model, usage = {} }) {
+      const cost = costOf(model, usage);
+      db.prepare(`
+        INSERT INTO llm_usage (guid, lang, feed, title, provider, model, prompt_tokens, completion_tokens, cost)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(guid, lang, feed, title, provider, model, usage.prompt_tokens || 0, usage.completion_tokens || 0, cost);
+      return cost;
+    },
+
+    /**
+     * An LLM whose completions are recorded against `context` ({ guid, lang,
+     * feed, title }); `fallback` asks for the providers' cheaper models.
+     */
+    meter(llm, context, { fallback = false } = {}) {
+      return {
+        ...llm,
+        complete: request => llm.complete({ ...request, fallback }).then(completion => {
+          ledger.record({ ...context, provider: completion.provider, model: completion.model, usage: completion.usage });
+          return completion;
+        })
+      };
+    },
+
+    /**
+     * Spend against the caps: { state: 'ok' | 'fallback' | 'paused', reason,
+     * until, today, month, daily, monthly }. `until` is when the cap that was
+     * reached resets; the monthly cap wins when both are reached.
+     */
+    check(now = new Date()) {
+      const today = spentSince("'start of day'");
+      const month = spentSince("'start of month'");
+      const status = { state: 'ok', reason: null, until: null, today, month, daily: budget.daily, monthly: budget.monthly };
+
+      if (budget.monthly && month >= budget.monthly) {
+        status.reason = `monthly budget of ${usd(budget.monthly)} reached (${usd(month)} spent)`;
+        status.until = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+      } else if (budget.daily && today >= budget.daily) {
+        status.reason = `daily budget of ${usd(budget.daily)} reached (${usd(today)} spent)`;
+        status.until = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+      }
+      if (status.reason) status.state = budget.action === 'fallback' ? 'fallback' : 'paused';
+      return status;
+    },
+
+    /** Calls, tokens and cost grouped `by` day, feed, post or model over the last `days`. */
+    report(by = 'day', { days = 30, limit = 100 } = {}) {
+      const report = REPORTS[by];
+      if (!report) throw new Error(`Unknown usage report "${by}". Use ${Object.keys(REPORTS).join(', ')}.`);
+      return db.prepare(`
+        SELECT ${report.columns}, COUNT(*) AS calls, SUM(prompt_tokens) AS prompt_tokens,
+               SUM(completion_tokens) AS completion_tokens, COALESCE(SUM(cost), 0) AS cost
+        FROM llm_usage WHERE created_at >= date('now', ?)
+        GROUP BY ${report.group} ORDER BY ${report.order} LIMIT ?
+      `).all(`-${days} days`, limit);
+    }
+  };
+  return ledger;
+}
+
+/**
+ * CLI: `node app.js usage [day|feed|post|model] [--days 30]` prints the
+ * spend against the budgets and where it went.
+ */
+export function runUsageCommand(ledger, { by, days = 30 } = {}) {
+  if (by && !REPORTS[by]) throw new Error(`Unknown usage report "${by}". Use ${Object.keys(REPORTS).join(', ')}.`);
+  const budget = ledger.check();
+  console.log(`Today: ${usd(budget.today)}${budget.daily ? ` of ${usd(budget.daily)}` : ''}  this month: ${usd(budget.month)}${budget.monthly ? ` of ${usd(budget.monthly)}` : ''}`);
+  if (budget.reason) console.log(`Budget: ${budget.reason}, generation ${budget.state === 'paused' ? `paused until ${budget.until.toISOString()}` : 'uses the fallback models'}`);
+
+  const label = {
+    day: row => row.day,
+    feed: row => row.feed,
+    post: row => `${row.languages ? `(${row.languages}) ` : ''}${row.title || row.guid}`,
+    model: row => `${row.provider}:${row.model}`
+  };
+  for (const name of by ? [by] : ['day', 'feed', 'post']) {
+    const rows = ledger.report(name, { days, limit: name === 'post' ? 20 : 100 });
+    console.log(`\nBy ${name}, last ${days} days${name === 'post' ? ' (most recent 20)' : ''}:`);
+    if (!rows.length) {
+      console.log('  no usage recorded');
+      continue;
+    }
+    for (const row of rows) {
+      const tokens = `${row.prompt_tokens.toLocaleString()} in / ${row.completion_tokens.toLocaleString()} out`;
+      console.log(`  ${usd(row.cost).padStart(10)}  ${String(row.calls).padStart(4)} calls  ${tokens.padEnd(28)}  ${label[name](row)}`);
+    }
+  }
+}
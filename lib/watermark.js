@@ -0,0 +1,244 @@
+/**
+ * lib/watermark.js
+ *
+ * Finds a source watermark by template matching against a reference image of
+ * the logo (e.g. a cropped GSMArena mark, ideally transparent around it) and
+ * paints it out. Matching runs on a small grayscale copy of the image over a
+ * range of logo sizes, so it works whatever the image resolution is.
+ */
+
+import fs from 'fs';
+import sharp from 'sharp';
+
+// Width the image is scaled to for matching; boxes are mapped back afterwards
+const WORK_WIDTH = 256;
+const SCALE_STEPS = 12;
+
+async function toGray(input, width, height) {
+  const { data, info } = await sharp(input)
+    .resize(width, height, { fit: 'fill' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const size = info.width * info.height;
+  const gray = new Float32Array(size);
+  const alpha = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    const p = i * 4;
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    alpha[i] = data[p + 3] / 255;
+  }
+  return { gray, alpha, width: info.width, height: info.height };
+}
+
+/**
+ * Zero-mean template, stored as parallel offset/value arrays for the inner
+ * matching loop. A reference with transparency is matched by its shape: a
+ * light logo should make the image brighter where the logo is opaque, a dark
+ * one darker, whatever is behind it.
+ */
+function prepareTemplate({ gray, alpha, width, height }, imageWidth) {
+  const transparent = alpha.some(a => a < 0.5);
+  const offsets = [];
+  const values = [];
+  let sum = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const value = transparent ? alpha[i] * (gray[i] - 128) : gray[i];
+      offsets.push(y * imageWidth + x);
+      values.push(value);
+      sum += value;
+    }
+  }
+  const n = values.length;
+  const mean = n ? sum / n : 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    values[i] -= mean;
+    variance += values[i] * values[i];
+  }
+  return { offsets: Int32Array.from(offsets), values: Float32Array.from(values), n, norm: Math.sqrt(variance), width, height };
+}
+
+// Normalized cross-correlation of the template at (x, y), in [-1, 1]
+function scoreAt(image, tpl, x, y) {
+  const base = y * image.width + x;
+  let sumI = 0;
+  let sumI2 = 0;
+  let sumIT = 0;
+  for (let k = 0; k < tpl.n; k++) {
+    const v = image.gray[base + tpl.offsets[k]];
+    sumI += v;
+    sumI2 += v * v;
+    sumIT += v * tpl.values[k];
+  }
+  const varI = sumI2 - (sumI * sumI) / tpl.n;
+  if (varI <= 1e-6 || tpl.norm === 0) return 0;
+  return sumIT / (Math.sqrt(varI) * tpl.norm);
+}
+
+function bestMatch(image, tpl) {
+  let best = { x: 0, y: 0, score: -1 };
+  // Coarse pass on every second pixel, then refine around the winner
+  for (let y = 0; y + tpl.height <= image.height; y += 2) {
+    for (let x = 0; x + tpl.width <= image.width; x += 2) {
+      const score = scoreAt(image, tpl, x, y);
+      if (score > best.score) best = { x, y, score };
+    }
+  }
+  const coarse = best;
+  for (let y = Math.max(0, coarse.y - 2); y <= Math.min(image.height - tpl.height, coarse.y + 2); y++) {
+    for (let x = Math.max(0, coarse.x - 2); x <= Math.min(image.width - tpl.width, coarse.x + 2); x++) {
+      const score = scoreAt(image, tpl, x, y);
+      if (score > best.score) best = { x, y, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Looks for the reference logo in `imageBuffer`. `minScale`/`maxScale` bound
+ * the logo width as a fraction of the image width. Resolves to
+ * { left, top, width, height, score } in image pixels (score is the
+ * normalized cross-correlation, 1 = perfect match), or null when the
+ * reference is missing.
+ */
+export async function detectWatermark(imageBuffer, referencePath, { minScale = 0.08, maxScale = 0.4 } = {}) {
+  if (!referencePath || !fs.existsSync(referencePath)) return null;
+
+  const meta = await sharp(imageBuffer).metadata();
+  const ref = await sharp(referencePath).metadata();
+  const factor = meta.width / WORK_WIDTH;
+  const workHeight = Math.max(1, Math.round(meta.height / factor));
+  const image = await toGray(imageBuffer, WORK_WIDTH, workHeight);
+
+  let best = null;
+  for (let step = 0; step < SCALE_STEPS; step++) {
+    const fraction = minScale * (maxScale / minScale) ** (step / (SCALE_STEPS - 1));
+    const width = Math.round(WORK_WIDTH * fraction);
+    const height = Math.max(3, Math.round((width * ref.height) / ref.width));
+    if (width < 8 || width >= image.width || height >= image.height) continue;
+
+    const tpl = prepareTemplate(await toGray(referencePath, width, height), image.width);
+    if (tpl.n < 16) continue;
+    const match = bestMatch(image, tpl);
+    if (!best || match.score > best.score) best = { ...match, width, height };
+  }
+  if (!best) return null;
+
+  return {
+    left: Math.max(0, Math.floor(best.x * factor)),
+    top: Math.max(0, Math.floor(best.y * factor)),
+    width: Math.min(meta.width, Math.ceil(best.width * factor)),
+    height: Math.min(meta.height, Math.ceil(best.height * factor)),
+    score: Number(best.score.toFixed(3))
+  };
+}
+
+function padBox(box, pad, width, height) {
+  const left = Math.max(0, box.left - pad);
+  const top = Math.max(0, box.top - pad);
+  return {
+    left,
+    top,
+    width: Math.min(width - left, box.width + pad * 2),
+    height: Math.min(height - top, box.height + pad * 2)
+  };
+}
+
+/**
+ * Onion-peel inpainting: fills the box from its edges inwards with the
+ * average of already known neighbours, then smooths the filled area so no
+ * streaks are left.
+ */
+function inpaint(data, width, height, channels, box) {
+  const known = new Uint8Array(width * height).fill(1);
+  for (let y = box.top; y < box.top + box.height; y++) {
+    for (let x = box.left; x < box.left + box.width; x++) known[y * width + x] = 0;
+  }
+
+  const neighbours = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]];
+  let remaining = box.width * box.height;
+  while (remaining > 0) {
+    const layer = [];
+    for (let y = box.top; y < box.top + box.height; y++) {
+      for (let x = box.left; x < box.left + box.width; x++) {
+        if (known[y * width + x]) continue;
+        const sums = new Array(channels).fill(0);
+        let count = 0;
+        for (const [dx, dy] of neighbours) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height || !known[ny * width + nx]) continue;
+          const p = (ny * width + nx) * channels;
+          for (let c = 0; c < channels; c++) sums[c] += data[p + c];
+          count++;
+        }
+        if (count) layer.push([x, y, sums.map(s => s / count)]);
+      }
+    }
+    if (!layer.length) break;
+    for (const [x, y, values] of layer) {
+      const p = (y * width + x) * channels;
+      for (let c = 0; c < channels; c++) data[p + c] = Math.round(values[c]);
+      known[y * width + x] = 1;
+    }
+    remaining -= layer.length;
+  }
+
+  for (let pass = 0; pass < 10; pass++) {
+    for (let y = box.top; y < box.top + box.height; y++) {
+      for (let x = box.left; x < box.left + box.width; x++) {
+        for (let c = 0; c < channels; c++) {
+          let sum = 0;
+          let count = 0;
+          for (const [dx, dy] of neighbours.slice(0, 4)) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            sum += data[(ny * width + nx) * channels + c];
+            count++;
+          }
+          data[(y * width + x) * channels + c] = Math.round(sum / count);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Paints out `box` with `method` = 'inpaint' (default) or 'blur'. Resolves to
+ * a lossless PNG buffer, so the caller encodes the final image only once.
+ */
+export async function removeWatermark(imageBuffer, box, { method = 'inpaint', padding = 4 } = {}) {
+  const meta = await sharp(imageBuffer).metadata();
+  const area = padBox(box, padding, meta.width, meta.height);
+
+  if (method === 'blur') {
+    const patch = await sharp(imageBuffer)
+      .extract(area)
+      .blur(Math.max(4, Math.round(area.height / 3)))
+      .toBuffer();
+    return sharp(imageBuffer).composite([{ input: patch, left: area.left, top: area.top }]).png().toBuffer();
+  }
+
+  const { data, info } = await sharp(imageBuffer).raw().toBuffer({ resolveWithObject: true });
+  inpaint(data, info.width, info.height, info.channels, area);
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } }).png().toBuffer();
+}
+
+/**
+ * Writes a copy of the image with the detected box outlined and its score,
+ * for tuning the reference logo and WATERMARK_CONFIDENCE.
+ */
+export async function writeDetectionDebug(imageBuffer, box, file, { accepted }) {
+  const meta = await sharp(imageBuffer).metadata();
+  const color = accepted ? '#00c853' : '#ff1744';
+  const overlay = Buffer.from(`<svg width="${meta.width}" height="${meta.height}" xmlns="http://www.w3.org/2000/svg">
+  <rect x="${box.left}" y="${box.top}" width="${box.width}" height="${box.height}" fill="none" stroke="${color}" stroke-width="3"/>
+  <text x="${box.left}" y="${Math.max(14, box.top - 6)}" font-family="sans-serif" font-size="14" fill="${color}">score ${box.score}</text>
+</svg>`);
+  await sharp(imageBuffer).composite([{ input: overlay, left: 0, top: 0 }]).png().toFile(file);
+}
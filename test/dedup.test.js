@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { createDedupIndex, fingerprint, normalizeTitle } from '../lib/dedup.js';
+
+const LAUNCH = `<p>Samsung has started selling the Galaxy A56 across Europe, two weeks after the phone was announced
+alongside the cheaper Galaxy A36. The base model with 8GB of RAM and 128GB of storage costs EUR 499, while the
+256GB version goes for EUR 549. Buyers can pick Awesome Pink, Awesome Olive, Awesome Lightgray and Awesome
+Graphite.</p><p>The A56 moves to the Exynos 1580 chipset and keeps a 6.7-inch Super AMOLED screen with a 120Hz
+refresh rate and up to 1,200 nits of brightness. Its battery stays at 5,000 mAh but charging is faster at 45W.
+Samsung promises six generations of Android updates and six years of security patches, which matches the
+flagship Galaxy S25 family.</p>`;
+
+// The same story from another site: a few words changed, a sentence added
+const REWORDED = LAUNCH
+  .replace('has started selling', 'is now selling')
+  .replace('Buyers can pick', 'Colour options are')
+  .replace('</p><p>', '</p><p>Preorders opened last week in Germany and France.</p><p>');
+
+const UNRELATED = `<p>Apple has refreshed the MacBook Air with the M4 chip and dropped its starting price to $999. The
+13-inch and 15-inch models get a new Sky Blue finish, a 12MP Center Stage camera and support for two external
+displays with the lid open. Battery life is rated at up to 18 hours of video playback, the same as before, and
+the base configuration now starts with 16GB of unified memory. Orders open today and the laptops arrive in
+stores next Wednesday in most countries, together with the new Mac Studio and an updated Magic Keyboard.</p>`;
+
+function indexWith(items, options) {
+  const db = new Database(':memory:');
+  const index = createDedupIndex(db, options);
+  for (const item of items) index.remember(item, fingerprint(item));
+  return { db, index };
+}
+
+const earlier = {
+  guid: 'gsm-1', link: 'https://www.gsmarena.com/a56-66000.php', feed: 'gsmarena', title: 'Samsung Galaxy A56 goes on sale in Europe', body: LAUNCH
+};
+
+test('titles are compared without case, accents and stopwords', () => {
+  assert.equal(normalizeTitle('The Galaxy A56 is NOW on sale, in Europe!'), 'galaxy a56 sale europe');
+  assert.equal(normalizeTitle('Pokémon Go gets a new update'), 'pokemon go update');
+});
+
+test('a reworded story is a near-duplicate, an unrelated one is not', () => {
+  const { index } = indexWith([earlier]);
+
+  const duplicate = index.findDuplicate(fingerprint({ title: 'A56 arrives in European stores', body: REWORDED }), { guid: 'eng-1' });
+  assert.equal(duplicate.by, 'body');
+  assert.ok(duplicate.similarity >= 0.6 && duplicate.similarity < 1, `similarity ${duplicate.similarity}`);
+  // The earlier item, which DEDUP_MODE=update links the new post to
+  const { guid, link, title } = duplicate;
+  assert.deepEqual({ guid, link, title }, { guid: 'gsm-1', link: earlier.link, title: earlier.title });
+
+  assert.equal(index.findDuplicate(fingerprint({ title: 'MacBook Air M4 is here', body: UNRELATED }), { guid: 'eng-2' }), null);
+});
+
+test('the threshold decides how close a body has to be', () => {
+  const reworded = fingerprint({ title: 'A56 arrives in European stores', body: REWORDED });
+
+  assert.ok(indexWith([earlier], { threshold: 0.5 }).index.findDuplicate(reworded));
+  assert.equal(indexWith([earlier], { threshold: 0.99 }).index.findDuplicate(reworded), null);
+  // The same body is a duplicate at any threshold
+  assert.equal(indexWith([earlier], { threshold: 1 }).index.findDuplicate(fingerprint(earlier), { guid: 'gsm-2' }).similarity, 1);
+});
+
+test('near-identical titles match when the bodies are too short to compare', () => {
+  const { index } = indexWith([{ ...earlier, body: '' }]);
+
+  const match = index.findDuplicate(fingerprint({ title: 'Samsung Galaxy A56 goes on sale in Europe today', body: 'Short.' }));
+  assert.equal(match.by, 'title');
+  assert.ok(match.similarity >= 0.8);
+  assert.equal(index.findDuplicate(fingerprint({ title: 'Samsung Galaxy A56 review', body: '' })), null);
+  assert.equal(indexWith([{ ...earlier, body: '' }], { titleThreshold: 0.9 }).index
+    .findDuplicate(fingerprint({ title: 'Samsung Galaxy A56 goes on sale in Europe today', body: '' })), null);
+});
+
+test('the item itself and fingerprints outside the window are left out', () => {
+  const { db, index } = indexWith([earlier]);
+  const same = fingerprint(earlier);
+
+  assert.equal(index.findDuplicate(same, { guid: 'gsm-1' }), null);
+  db.prepare("UPDATE fingerprints SET created_at = datetime('now', '-15 days')").run();
+  assert.equal(index.findDuplicate(same, { guid: 'gsm-2' }), null);
+});
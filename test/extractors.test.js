@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { extractArticle } from '../lib/extractors/index.js';
+
+const fixture = name => fs.readFileSync(new URL(`./fixtures/extractors/${name}.html`, import.meta.url), 'utf8');
+
+test('gsmarena: body, captioned image, spec table, author and date', () => {
+  const article = extractArticle(fixture('gsmarena'), 'https://www.gsmarena.com/samsung_galaxy_a56_on_sale-news-66000.php');
+
+  assert.equal(article.extractor, 'gsmarena');
+  assert.equal(article.title, 'Samsung Galaxy A56 goes on sale with a 5,000 mAh battery');
+  assert.match(article.text, /now available in Europe/);
+  assert.match(article.text, /moves to the Exynos 1580/);
+  assert.doesNotMatch(article.bodyHtml, /Advertisement|trackRead|Samsung, Android|<script/);
+  assert.doesNotMatch(article.text, /Reader comments/);
+
+  assert.deepEqual(article.images, [{
+    src: 'https://www.gsmarena.com/imgroot/news/25/03/galaxy-a56/inline/-1200/gsmarena_001.jpg',
+    alt: 'Galaxy A56 in pink',
+    caption: 'The Galaxy A56 in Awesome Pink',
+    width: 1200,
+    height: 675
+  }]);
+  assert.deepEqual(article.specTables, [{
+    caption: null,
+    rows: [
+      { group: 'Display', name: 'Size', value: '6.7 inches' },
+      { group: 'Display', name: 'Refresh rate', value: '120Hz' },
+      { group: 'Battery', name: 'Capacity', value: '5000 mAh' }
+    ]
+  }]);
+  assert.equal(article.author, 'Peter');
+  assert.equal(article.publishedAt, new Date('05 March 2025').toISOString());
+  assert.equal(article.leadImage, 'https://fdn.gsmarena.com/imgroot/news/25/03/galaxy-a56/-952x498w6/gsmarena_000.jpg');
+});
+
+test('engadget: lazy-loaded figure, absolute links, author and date', () => {
+  const article = extractArticle(fixture('engadget'), 'https://www.engadget.com/computing/laptops/apple-macbook-air-m4.html');
+
+  assert.equal(article.extractor, 'engadget');
+  assert.match(article.text, /dropped the starting price to \$999/);
+  assert.match(article.text, /two external displays/);
+  assert.doesNotMatch(article.text, /Sponsored content|Buy MacBook Air|Read more|Engadget is part of Yahoo/);
+  assert.match(article.bodyHtml, /href="https:\/\/www\.engadget\.com\/computing\/laptops\/macbook-air-m4-review\.html"/);
+
+  assert.equal(article.images.length, 1);
+  assert.equal(article.images[0].src, 'https://s.yimg.com/os/creatr-uploaded-images/2025-03/macbook-air-sky-blue.jpg');
+  assert.equal(article.images[0].caption, 'The new Sky Blue finish');
+  assert.deepEqual(article.specTables, []);
+  assert.equal(article.author, 'Cherlynn Low');
+  assert.equal(article.publishedAt, '2025-03-05T14:00:00.000Z');
+});
+
+test('generic: picks the content block over navigation and link lists', () => {
+  const article = extractArticle(fixture('generic'), 'https://blog.example.com/2025/04/pixel-9a-battery/');
+
+  assert.equal(article.extractor, 'generic');
+  assert.equal(article.title, 'Pixel 9a battery test');
+  assert.match(article.text, /^We ran the Pixel 9a/);
+  assert.match(article.text, /USB-C PD brick\.$/);
+  assert.doesNotMatch(article.text, /most read stories|Copyright 2025/);
+
+  assert.deepEqual(article.images, [{
+    src: 'https://blog.example.com/uploads/2025/04/pixel-9a-battery.png',
+    alt: 'Battery chart',
+    caption: "Endurance compared with last year's Pixel 8a",
+    width: 800,
+    height: 450
+  }]);
+  assert.deepEqual(article.specTables, [{
+    caption: 'Battery results',
+    rows: [
+      { group: null, name: 'Web browsing', value: '16h 05m' },
+      { group: null, name: 'Video playback', value: '19h 40m' }
+    ]
+  }]);
+  assert.equal(article.author, 'Jordan Lee');
+  assert.equal(article.publishedAt, '2025-04-10T08:30:00.000Z');
+  assert.equal(article.leadImage, article.images[0].src);
+});
+
+test('feed selectors win over the domain extractor', () => {
+  const article = extractArticle(fixture('generic'), 'https://blog.example.com/2025/04/pixel-9a-battery/', { selectors: ['div.missing', 'div.entry'] });
+
+  assert.equal(article.extractor, 'feed-selectors');
+  assert.match(article.text, /^We ran the Pixel 9a/);
+});
+
+test('falls back to the generic extractor when the site layout changed', () => {
+  const html = fixture('engadget').replace(/caas-body/g, 'story-body');
+  const article = extractArticle(html, 'https://www.engadget.com/computing/laptops/apple-macbook-air-m4.html');
+
+  assert.equal(article.extractor, 'generic');
+  assert.match(article.text, /dropped the starting price to \$999/);
+});
+
+test('returns null for an empty page', () => {
+  assert.equal(extractArticle('', 'https://example.com/'), null);
+  assert.equal(extractArticle('<html><body><nav>Home</nav></body></html>', 'https://example.com/'), null);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkArticle, extractFacts, findUnsupported, htmlProblems } from '../lib/factcheck.js';
+import { generateArticle } from '../lib/generate.js';
+
+const BODY = '<h1>Galaxy A56 goes on sale</h1><p>Samsung has started selling the Galaxy A56 in Europe. The phone keeps the large screen and the big battery of last year and adds a faster chip, a brighter panel and six years of updates.</p>';
+
+// An LLM that answers every request with `html` in an otherwise valid article
+function replyWith(html) {
+  return {
+    complete: async () => ({
+      text: JSON.stringify({
+        html,
+        seoTitle: 'Samsung Galaxy A56 goes on sale in Europe',
+        metaDescription: 'Samsung has started selling the Galaxy A56 in Europe with a faster chip and a brighter screen.',
+        slug: 'galaxy-a56-on-sale',
+        imageAlt: 'Samsung Galaxy A56 in pink',
+        imageTitle: 'Galaxy A56',
+        labels: ['Samsung'],
+        faq: [],
+        galleryAlts: []
+      }),
+      provider: 'stub',
+      model: 'stub',
+      usage: {}
+    })
+  };
+}
+
+const generate = html => generateArticle(replyWith(html), { template: { body: '{{title}}', version: 'test' }, title: 'Galaxy A56' });
+
+test('links are unwrapped from the rewrite, also across line breaks', async () => {
+  const html = `${BODY}<p>Read <a href="http://x">more\nhere</a> or <a\nhref="https://example.com/a56" rel="nofollow">the\nspecs</a>.</p>`;
+  const generated = await generate(html);
+
+  assert.doesNotMatch(generated.html, /<a[\s>]/i);
+  assert.match(generated.html, /Read more\nhere or the\nspecs\./);
+});
+
+test('code fences are taken out wherever they are', async () => {
+  const generated = await generate(`Here is the article:\n\`\`\`html\n${BODY}\n\`\`\`\n<p>Closing words of the article.</p>\n\`\`\``);
+
+  assert.doesNotMatch(generated.html, /```/);
+  assert.match(generated.html, /<h1>Galaxy A56 goes on sale<\/h1>/);
+  assert.match(generated.html, /Closing words of the article/);
+});
+
+test('links and code fences that reach the check fail it', () => {
+  const options = { minWords: 10 };
+  const withLink = checkArticle({ html: `${BODY}<p>See <a\nhref="http://x">more\nhere</a>.</p>` }, BODY, options);
+  assert.equal(withLink.ok, false);
+  assert.deepEqual(withLink.problems, ['contains links']);
+
+  const withFence = checkArticle({ html: `${BODY}\n\`\`\`` }, BODY, options);
+  assert.deepEqual(withFence.problems, ['contains code fences']);
+
+  assert.deepEqual(checkArticle({ html: BODY }, BODY, options), { ok: true, unsupported: [], problems: [] });
+});
+
+const SOURCE = 'The Galaxy S25 Ultra costs $1,299 and has a 5,000 mAh battery and a 200MP camera. It goes on sale on Oct 25, 2025 with the SM8750 chip.';
+
+test('extractFacts collects claims, years, dates and model codes', () => {
+  const facts = extractFacts(`${SOURCE} Second gen, 5G, 2nd time, 3 colours.`);
+
+  assert.deepEqual([...facts.claims], [['1299', '$1299'], ['5000', '5000 mah'], ['200', '200mp'], ['5', '5g'], ['25', '25']]);
+  assert.deepEqual([...facts.years], ['2025']);
+  assert.deepEqual([...facts.dates], ['oct 25']);
+  // Units and ordinals are not model codes
+  assert.deepEqual([...facts.models], ['s25', 'sm8750']);
+  assert.ok(facts.numbers.has('3'));
+});
+
+test('values the source supports pass, whatever their format', () => {
+  const rewrite = 'Samsung prices the S25 Ultra at USD 1299. Its 5000mAh cell and 200 MP camera ship on 25th of October 2025, powered by the SM8750.';
+  assert.deepEqual(findUnsupported(rewrite, SOURCE), []);
+});
+
+test('invented numbers, prices, years, dates and models are flagged', () => {
+  const rewrite = 'The S26 Ultra costs $1,399, has a 6000 mAh battery and ships on Nov 3, 2026.';
+  assert.deepEqual(findUnsupported(rewrite, SOURCE), ['$1399', '6000 mah', '2026', 'Nov 3', 'S26']);
+});
+
+test('Urdu and Arabic digits are read as their Latin values', () => {
+  assert.deepEqual(findUnsupported('قیمت ١٬٢٩٩ ڈالر اور ۵۰۰۰ mAh بیٹری', SOURCE), []);
+  assert.deepEqual(findUnsupported('قیمت ١٬٣٩٩ ڈالر', SOURCE), ['1399']);
+});
+
+test('htmlProblems reports unclosed and stray tags, ignoring void elements', () => {
+  assert.deepEqual(htmlProblems('<p>a<b>b</p></i><div>'), ['<b> not closed', 'stray </i>', '<div> not closed']);
+  assert.deepEqual(htmlProblems('<p>a<br>b<img src="x"><br/></p>'), []);
+});
+
+test('checkArticle looks at the title, description and FAQ and honours the tolerance', () => {
+  const generated = {
+    html: BODY,
+    seoTitle: 'Galaxy S25 Ultra for $1,299',
+    metaDescription: 'With a 6000 mAh battery',
+    faq: [{ question: 'When?', answer: 'On Nov 3' }]
+  };
+  const check = checkArticle(generated, `${BODY} ${SOURCE}`, { minWords: 10 });
+  assert.equal(check.ok, false);
+  assert.deepEqual(check.unsupported, ['6000 mah', 'Nov 3']);
+  assert.deepEqual(check.problems, ['values not in the source: 6000 mah, Nov 3']);
+
+  assert.equal(checkArticle(generated, `${BODY} ${SOURCE}`, { minWords: 10, tolerance: 2 }).ok, true);
+  const [tooShort, ...rest] = checkArticle(generated, `${BODY} ${SOURCE}`, { minWords: 500, tolerance: 2 }).problems;
+  assert.match(tooShort, /^too short: \d+ words \(minimum 500\)$/);
+  assert.deepEqual(rest, []);
+});
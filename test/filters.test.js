@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createItemFilter, loadFilterRules } from '../lib/filters.js';
+
+const NOW = Date.parse('2025-03-05T12:00:00Z');
+
+// A collected feed entry, as collectFeedItems() passes it in
+function entry(title, { feed = { name: 'gsmarena' }, snippet = '', categories = [], date = NOW } = {}) {
+  return { title, feed, date, item: { title, contentSnippet: snippet, categories } };
+}
+
+const check = (filter, e, options = {}) => filter.check(e, { now: NOW, ...options });
+
+test('keywords match whole words only, case-insensitive', async () => {
+  const filter = createItemFilter({ exclude: ['deal', 'Black Friday'] });
+
+  assert.deepEqual(await check(filter, entry('Best DEAL on the Pixel 9')), { ok: false, rule: 'exclude', reason: 'title matches deal' });
+  assert.deepEqual(await check(filter, entry('The ideal phone for 2025')), { ok: true });
+  assert.deepEqual(await check(filter, entry('Two deals you should not miss')), { ok: true });
+  assert.equal((await check(filter, entry('Black   friday phones'))).ok, false);
+});
+
+test('/regex/flags patterns are used as regular expressions', async () => {
+  const filter = createItemFilter({ exclude: ['/deals?\\b/i', '/^Weekly poll/'] });
+
+  assert.equal((await check(filter, entry('Two DEALS you should not miss'))).ok, false);
+  assert.equal((await check(filter, entry('Weekly poll: which flagship?'))).ok, false);
+  assert.equal((await check(filter, entry('Our weekly poll results'))).ok, true);
+});
+
+test('include needs at least one match', async () => {
+  const filter = createItemFilter({ include: ['Samsung', 'Pixel'] });
+
+  assert.deepEqual(await check(filter, entry('Samsung Galaxy A56 review')), { ok: true });
+  assert.deepEqual(await check(filter, entry('iPhone 17 rumours')), { ok: false, rule: 'include', reason: 'matches none of the include keywords' });
+});
+
+test('per-field lists only look at their own fields', async () => {
+  const filter = createItemFilter({ exclude: { categories: ['Sponsored'], title: ['giveaway'] } });
+
+  assert.deepEqual(await check(filter, entry('Galaxy S25 review', { categories: ['Reviews', { _: 'Sponsored' }] })),
+    { ok: false, rule: 'exclude', reason: 'categories matches Sponsored' });
+  assert.deepEqual(await check(filter, entry('Galaxy S25 review', { snippet: 'Not sponsored in any way' })), { ok: true });
+  assert.deepEqual(await check(filter, entry('Phone giveaway')), { ok: false, rule: 'exclude', reason: 'title matches giveaway' });
+  assert.deepEqual(await check(filter, entry('Galaxy S25', { snippet: 'Enter our giveaway' })), { ok: true });
+});
+
+test('unknown fields and broken regexes are config errors', async () => {
+  await assert.rejects(check(createItemFilter({ exclude: { body: ['x'] } }), entry('x')), /unknown field "body"/);
+  await assert.rejects(check(createItemFilter({ exclude: ['/(unclosed/'] }), entry('x')), /invalid pattern \/\(unclosed\//);
+});
+
+test('brands are looked for in the title and categories', async () => {
+  const filter = createItemFilter({ brands: { allow: ['Samsung', 'Google'], deny: ['Infinix'] } });
+
+  assert.deepEqual(await check(filter, entry('Infinix and Samsung compared')), { ok: false, rule: 'brand-deny', reason: 'mentions Infinix' });
+  assert.deepEqual(await check(filter, entry('Pixel 9a review', { categories: ['Google'] })), { ok: true });
+  assert.deepEqual(await check(filter, entry('Xiaomi 15 review', { snippet: 'Faster than Samsung' })),
+    { ok: false, rule: 'brand-allow', reason: 'mentions none of the allowed brands' });
+});
+
+test('maxAgeHours leaves out old items and keeps undated ones', async () => {
+  const filter = createItemFilter({ maxAgeHours: 24 });
+
+  assert.deepEqual(await check(filter, entry('Old news', { date: NOW - 30 * 3600000 })),
+    { ok: false, rule: 'max-age', reason: 'published 30h ago (max 24h)' });
+  assert.deepEqual(await check(filter, entry('Fresh news', { date: NOW - 2 * 3600000 })), { ok: true });
+  assert.deepEqual(await check(filter, entry('Undated news', { date: null })), { ok: true });
+});
+
+test('minWords is checked on the article text', () => {
+  const filter = createItemFilter({ minWords: 5 });
+
+  assert.deepEqual(filter.checkContent('Only  three\nwords', { name: 'gsmarena' }), { ok: false, rule: 'min-words', reason: '3 words (min 5)' });
+  assert.deepEqual(filter.checkContent('one two three four five', { name: 'gsmarena' }), { ok: true });
+  assert.deepEqual(createItemFilter({}).checkContent('', { name: 'gsmarena' }), { ok: true });
+});
+
+test("a feed's filters replace the global rules key by key", async () => {
+  const filter = createItemFilter({ exclude: ['deal'], include: ['Samsung'], minWords: 100 });
+  const deals = { name: 'deals', filters: { exclude: ['refurbished'] } };
+
+  // exclude is replaced, include is still the global one
+  assert.deepEqual(await check(filter, entry('Samsung deal of the day', { feed: deals })), { ok: true });
+  assert.equal((await check(filter, entry('Refurbished Samsung phones', { feed: deals }))).rule, 'exclude');
+  assert.equal((await check(filter, entry('Pixel deal of the day', { feed: deals }))).rule, 'include');
+  assert.equal((await check(filter, entry('Samsung deal of the day'))).rule, 'exclude');
+  assert.equal(filter.checkContent('too short', deals).rule, 'min-words');
+});
+
+test('filters: false turns filtering off for a feed', async () => {
+  const filter = createItemFilter({ exclude: ['deal'], maxAgeHours: 1, minWords: 100, classifier: { topic: 'phones' } });
+  const feed = { name: 'everything', filters: false };
+  const llm = { complete: async () => assert.fail('the classifier must not run') };
+
+  assert.deepEqual(await check(filter, entry('Old deal', { feed, date: NOW - 48 * 3600000 }), { llm }), { ok: true });
+  assert.deepEqual(filter.checkContent('short', feed), { ok: true });
+});
+
+test('the classifier decides last and fails open', async () => {
+  const filter = createItemFilter({ exclude: ['deal'], classifier: { topic: 'smartphones' } });
+  const prompts = [];
+  const reply = text => ({ complete: async ({ messages }) => {
+    prompts.push(messages[0].content);
+    return { text };
+  } });
+
+  assert.deepEqual(await check(filter, entry('Best TV of 2025'), { llm: reply('{"relevant": false, "reason": "About TVs"}') }),
+    { ok: false, rule: 'classifier', reason: 'About TVs' });
+  assert.match(prompts[0], /about: smartphones/);
+  assert.match(prompts[0], /Title: Best TV of 2025/);
+
+  assert.deepEqual(await check(filter, entry('Galaxy S25'), { llm: reply('```json\n{"relevant": true, "reason": "A phone"}\n```') }), { ok: true });
+  assert.deepEqual(await check(filter, entry('Galaxy S25'), { llm: reply('no idea') }), { ok: true });
+  assert.deepEqual(await check(filter, entry('Galaxy S25'), { llm: { complete: async () => { throw new Error('timeout'); } } }), { ok: true });
+
+  // Rules that need no LLM come first, and without an LLM the classifier is left out
+  assert.equal((await check(filter, entry('TV deal'), { llm: reply('{"relevant": true, "reason": "x"}') })).rule, 'exclude');
+  assert.equal(prompts.length, 3);
+  assert.deepEqual(await check(filter, entry('Best TV of 2025')), { ok: true });
+});
+
+test('loadFilterRules reads JSON and YAML and validates the rules', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filters-'));
+  try {
+    const json = path.join(dir, 'filters.json');
+    fs.writeFileSync(json, JSON.stringify({ exclude: ['deal'], maxAgeHours: 48 }));
+    assert.deepEqual(loadFilterRules(json), { exclude: ['deal'], maxAgeHours: 48 });
+
+    const yaml = path.join(dir, 'filters.yaml');
+    fs.writeFileSync(yaml, 'include:\n  title: [Samsung, "/galaxy\\\\s?s\\\\d+/i"]\nminWords: 150\n');
+    const rules = loadFilterRules(yaml);
+    assert.deepEqual(rules, { include: { title: ['Samsung', '/galaxy\\s?s\\d+/i'] }, minWords: 150 });
+
+    fs.writeFileSync(json, JSON.stringify({ classifier: { instructions: 'no topic' } }));
+    assert.throws(() => loadFilterRules(json), /classifier needs a "topic"/);
+    fs.writeFileSync(json, '["deal"]');
+    assert.throws(() => loadFilterRules(json), /must be an object of rules/);
+
+    assert.deepEqual(loadFilterRules(path.join(dir, 'missing.json')), {});
+    assert.deepEqual(loadFilterRules(null), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
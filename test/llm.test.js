@@ -0,0 +1,96 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios, { AxiosError } from 'axios';
+import { createLLM } from '../lib/llm/index.js';
+
+const originalAdapter = axios.defaults.adapter;
+afterEach(() => {
+  axios.defaults.adapter = originalAdapter;
+});
+
+// Answers the Anthropic and Gemini providers by API key: a number fails the
+// request with that status, anything else is the reply text
+function stubReplies(replies) {
+  const calls = [];
+  axios.defaults.adapter = async config => {
+    const key = config.headers.get('x-api-key') || config.headers.get('x-goog-api-key');
+    calls.push(key);
+    const reply = replies[key];
+    if (typeof reply === 'number') {
+      const response = { status: reply, statusText: '', headers: {}, config, data: { error: { message: `status ${reply}` } } };
+      throw new AxiosError(`Request failed with status code ${reply}`, 'ERR_BAD_RESPONSE', config, null, response);
+    }
+    const data = config.url.includes('generateContent')
+      ? { candidates: [{ content: { parts: [{ text: reply }] } }], usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2 } }
+      : { content: [{ type: 'text', text: reply }], usage: { input_tokens: 3, output_tokens: 2 } };
+    return { status: 200, statusText: 'OK', headers: {}, config, data };
+  };
+  return calls;
+}
+
+// Provider configs as loadLLMConfig() returns them
+const llmWith = providers => createLLM(providers.map(p => ({ ...p, model: `${p.type}-model`, fallbackModel: null })));
+
+const ask = llm => llm.complete({ messages: [{ role: 'user', content: 'Hi' }] });
+
+test('a rate-limited key is parked and the next key of the provider answers', async () => {
+  const calls = stubReplies({ 'claude-key-1': 429, 'claude-key-2': 'hello' });
+  const llm = llmWith([{ name: 'claude', type: 'anthropic', keys: ['claude-key-1', 'claude-key-2'] }]);
+
+  assert.deepEqual(await ask(llm), {
+    text: 'hello', usage: { prompt_tokens: 3, completion_tokens: 2 }, provider: 'claude', model: 'anthropic-model'
+  });
+  assert.deepEqual(calls, ['claude-key-1', 'claude-key-2']);
+
+  // Round-robin comes back to the first key, which is still parked
+  await ask(llm);
+  assert.deepEqual(calls, ['claude-key-1', 'claude-key-2', 'claude-key-2']);
+});
+
+test('server errors fail over to the next provider', async () => {
+  const calls = stubReplies({ 'claude-key': 503, 'gemini-key': 'from gemini' });
+  const llm = llmWith([
+    { name: 'claude', type: 'anthropic', keys: ['claude-key'] },
+    { name: 'gemini', type: 'gemini', keys: ['gemini-key'] }
+  ]);
+
+  const result = await ask(llm);
+  assert.equal(result.text, 'from gemini');
+  assert.equal(result.provider, 'gemini');
+  assert.deepEqual(calls, ['claude-key', 'gemini-key']);
+});
+
+test('a request the provider rejects goes to the next provider without trying its other keys', async () => {
+  const calls = stubReplies({ 'claude-key-1': 400, 'claude-key-2': 'unused', 'gemini-key': 'from gemini' });
+  const llm = llmWith([
+    { name: 'claude', type: 'anthropic', keys: ['claude-key-1', 'claude-key-2'] },
+    { name: 'gemini', type: 'gemini', keys: ['gemini-key'] }
+  ]);
+
+  assert.equal((await ask(llm)).provider, 'gemini');
+  assert.deepEqual(calls, ['claude-key-1', 'gemini-key']);
+});
+
+test('the error names every failure once all keys and providers are exhausted', async () => {
+  const calls = stubReplies({ 'claude-key-1': 429, 'claude-key-2': 500, 'gemini-key': 503 });
+  const llm = llmWith([
+    { name: 'claude', type: 'anthropic', keys: ['claude-key-1', 'claude-key-2'] },
+    { name: 'gemini', type: 'gemini', keys: ['gemini-key'] }
+  ]);
+
+  const err = await ask(llm).catch(e => e);
+  assert.match(err.message, /^All LLM providers failed: /);
+  assert.deepEqual(err.failures.map(f => f.replace(/ \(.*\)$/, '')), [
+    'claude …ey-1: rate limit', 'claude …ey-2: HTTP 500', 'gemini …-key: HTTP 503'
+  ]);
+  assert.equal(calls.length, 3);
+
+  // Parked keys are not called again until their cooldown is over
+  await assert.rejects(ask(llm), /All LLM providers failed: no usable keys/);
+  assert.equal(calls.length, 3);
+});
+
+test('providers without keys are left out', () => {
+  const llm = llmWith([{ name: 'claude', type: 'anthropic', keys: [] }]);
+  assert.equal(llm.hasProviders(), false);
+});
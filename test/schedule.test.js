@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { createScheduler, loadScheduleConfig } from '../lib/schedule.js';
+
+// Slots are in local time, so the expectations are too
+const at = (day, hours, minutes = 0) => new Date(2025, 2, day, hours, minutes);
+const NOW = at(5, 10);
+
+const scheduler = (env, db = new Database(':memory:')) => createScheduler(db, loadScheduleConfig(env));
+const post = (guid, lang = 'en') => ({ guid, lang, title: `Post ${guid}` });
+
+test('scheduling is off unless one of its settings is given', () => {
+  assert.equal(loadScheduleConfig({}).enabled, false);
+  assert.equal(loadScheduleConfig({ MAX_POSTS_PER_DAY: '3' }).enabled, true);
+  assert.throws(() => loadScheduleConfig({ SCHEDULE_SLOTS: '25:00' }), /Invalid time "25:00"/);
+});
+
+test('slots in the quiet hours are never used, also across midnight', () => {
+  const config = loadScheduleConfig({ SCHEDULE_SPACING_MINUTES: '120', QUIET_HOURS: '22:00-07:00' });
+  assert.deepEqual(config.slots, [8, 10, 12, 14, 16, 18, 20].map(h => h * 60));
+
+  const slots = scheduler({ SCHEDULE_SLOTS: '06:00,21:30,23:00', QUIET_HOURS: '22:00-07:00' });
+  assert.deepEqual(slots.reserve(post('a'), NOW), at(5, 21, 30));
+  assert.deepEqual(slots.reserve(post('b'), NOW), at(6, 21, 30));
+
+  assert.throws(() => loadScheduleConfig({ SCHEDULE_SLOTS: '23:00', QUIET_HOURS: '22:00-07:00' }), /falls in QUIET_HOURS/);
+});
+
+test('slots closer than the lead time are skipped', () => {
+  const slots = scheduler({ SCHEDULE_SLOTS: '10:03,10:30' });
+  assert.deepEqual(slots.reserve(post('a'), NOW), at(5, 10, 30));
+});
+
+test('a full day rolls over to the next one', () => {
+  const slots = scheduler({ SCHEDULE_SPACING_MINUTES: '60', MAX_POSTS_PER_DAY: '2' });
+  assert.deepEqual(slots.reserve(post('a'), NOW), at(5, 11));
+  assert.deepEqual(slots.reserve(post('b'), NOW), at(5, 12));
+  assert.deepEqual(slots.reserve(post('c'), NOW), at(6, 0));
+  assert.deepEqual(slots.reserve(post('d'), NOW), at(6, 1));
+  assert.deepEqual(slots.reserve(post('e'), NOW), at(7, 0));
+});
+
+test('no two posts of a language share a slot, and a retry keeps its slot', () => {
+  const slots = scheduler({ SCHEDULE_SLOTS: '12:00,18:00', SCHEDULE_HORIZON_DAYS: '1' });
+  const first = slots.reserve(post('a'), NOW);
+  const second = slots.reserve(post('b'), NOW);
+  assert.deepEqual([first, second], [at(5, 12), at(5, 18)]);
+
+  assert.deepEqual(slots.reserve(post('a'), NOW), first);
+  // Other languages have slots of their own
+  assert.deepEqual(slots.reserve(post('a', 'ur'), NOW), at(5, 12));
+  assert.equal(slots.reserve(post('c'), NOW), null);
+
+  assert.throws(() => slots.book(post('c'), at(5, 18)), /already taken by "Post b" \(en\)/);
+  slots.release('b', 'en');
+  assert.deepEqual(slots.reserve(post('c'), NOW), at(5, 18));
+});
+
+test('a confirmed slot is kept, a stale reservation is given up', () => {
+  const slots = scheduler({ SCHEDULE_SLOTS: '12:00,18:00' });
+  slots.reserve(post('a'), NOW);
+  slots.confirm('a', 'en');
+  slots.reserve(post('b'), NOW);
+
+  // b was still waiting when its 18:00 passed, so it is given the next free slot
+  const later = at(5, 19);
+  assert.deepEqual(slots.reserve(post('a'), later), at(5, 12));
+  assert.deepEqual(slots.reserve(post('b'), later), at(6, 12));
+});
+
+test('slots survive a reopened database', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-'));
+  const file = path.join(dir, 'posts.db');
+  const env = { SCHEDULE_SLOTS: '12:00,18:00' };
+  try {
+    let db = new Database(file);
+    const first = scheduler(env, db);
+    first.reserve(post('a'), NOW);
+    first.confirm('a', 'en');
+    first.reserve(post('b'), NOW);
+    db.close();
+
+    db = new Database(file);
+    const reopened = scheduler(env, db);
+    assert.deepEqual(reopened.upcoming(NOW).map(row => [row.guid, row.status, new Date(row.slot_at)]), [
+      ['a', 'scheduled', at(5, 12)],
+      ['b', 'reserved', at(5, 18)]
+    ]);
+    assert.deepEqual(reopened.reserve(post('c'), NOW), at(6, 12));
+    assert.deepEqual(reopened.due(at(5, 13)).map(row => row.guid), ['a']);
+    assert.deepEqual(reopened.due(at(5, 13)), []);
+    db.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,46 @@
+/**
+ * Runs only against a real S3-compatible server, e.g. a local MinIO:
+ *
+ *   docker run -p 9000:9000 minio/minio server /data
+ *   mc mb local/gsm2blog && mc anonymous set download local/gsm2blog
+ *   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=gsm2blog \
+ *     S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm test
+ *
+ * The bucket must allow anonymous reads, as it has to for blog readers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import axios from 'axios';
+import Database from 'better-sqlite3';
+import { createImageStore, loadStorageConfig } from '../lib/storage/index.js';
+
+test('s3 storage: put, read back and reuse by SHA-256', { skip: !process.env.S3_ENDPOINT && 'S3_ENDPOINT is not set' }, async () => {
+  const db = new Database(':memory:');
+  const store = createImageStore(loadStorageConfig({ ...process.env, IMAGE_STORAGE: 's3', IMAGE_STORAGE_PREFIX: 'test' }), db);
+  // Random bytes, so every run uploads a new object
+  const image = crypto.randomBytes(2048);
+  const sha256 = crypto.createHash('sha256').update(image).digest('hex');
+
+  const puts = [];
+  const interceptor = axios.interceptors.request.use(config => {
+    if (config.method === 'put') puts.push(config.url);
+    return config;
+  });
+  try {
+    const url = await store.put(image, { format: 'webp' });
+    assert.ok(url.endsWith(`/test/${sha256.slice(0, 2)}/${sha256}.webp`), url);
+    assert.equal(puts.length, 1);
+
+    const res = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    assert.equal(res.headers['content-type'], 'image/webp');
+    assert.ok(Buffer.from(res.data).equals(image));
+
+    assert.equal(await store.put(Buffer.from(image), { format: 'webp' }), url);
+    assert.equal(puts.length, 1, 'the second put of the same bytes must not upload');
+    assert.deepEqual(db.prepare('SELECT sha256, backend, url, bytes FROM image_cache').all(), [{ sha256, backend: 's3', url, bytes: 2048 }]);
+  } finally {
+    axios.interceptors.request.eject(interceptor);
+  }
+});
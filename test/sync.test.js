@@ -0,0 +1,229 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { syncBlog, runUpdateCommand, runCleanupCommand, sourceHash } from '../lib/sync.js';
+import { createJobStore } from '../lib/jobs.js';
+import { createPublisher } from '../lib/publishers/index.js';
+
+// The `posted` table as app.js creates it
+function openDb() {
+  const db = new Database(':memory:');
+  db.prepare(`
+    CREATE TABLE posted (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guid TEXT,
+      link TEXT,
+      lang TEXT NOT NULL DEFAULT 'en',
+      title TEXT,
+      published_at TEXT,
+      posted_at TEXT DEFAULT (datetime('now')),
+      status TEXT DEFAULT 'published',
+      reviewed_at TEXT,
+      prompt_version TEXT,
+      blogger_post_id TEXT,
+      blogger_url TEXT,
+      post_title TEXT,
+      labels TEXT,
+      source_hash TEXT,
+      UNIQUE (guid, lang),
+      UNIQUE (link, lang)
+    )
+  `).run();
+  return db;
+}
+
+function addPosted(db, row) {
+  const full = { link: null, title: null, posted_at: '2025-03-01 10:00:00', status: 'published', blogger_post_id: null,
+    blogger_url: null, post_title: null, labels: '[]', source_hash: null, ...row };
+  db.prepare(`
+    INSERT INTO posted (guid, link, lang, title, posted_at, status, blogger_post_id, blogger_url, post_title, labels, source_hash)
+    VALUES (@guid, @link, @lang, @title, @posted_at, @status, @blogger_post_id, @blogger_url, @post_title, @labels, @source_hash)
+  `).run(full);
+}
+
+const postedRow = (db, guid, lang = 'en') => db.prepare('SELECT * FROM posted WHERE guid = ? AND lang = ?').get(guid, lang);
+
+const footer = link => `<p>Body</p><p class="source-attribution"><em>Source: <a href="${link}" rel="nofollow noopener" target="_blank">example.com</a></em></p>`;
+
+/** A `blogger` client whose posts.list serves `pages` and which records every call. */
+function stubBlogger(pages = [[]]) {
+  const calls = [];
+  const call = method => async params => {
+    calls.push({ method, ...params });
+    if (method === 'list') {
+      const index = params.pageToken ? Number(params.pageToken) : 0;
+      return { data: { items: pages[index], nextPageToken: index + 1 < pages.length ? String(index + 1) : undefined } };
+    }
+    return { data: { id: params.postId || 'new-post', url: `https://blog.example.com/${params.postId || 'new-post'}.html` } };
+  };
+  return { calls, posts: { list: call('list'), insert: call('insert'), patch: call('patch'), revert: call('revert'), delete: call('delete') } };
+}
+
+test('sync imports unknown posts, links known ones and marks missing posts deleted', async () => {
+  const db = openDb();
+  addPosted(db, { guid: 'g-known', lang: 'en', title: 'Known', blogger_post_id: 'p1', blogger_url: 'https://blog.example.com/old.html', post_title: 'Known', labels: '["Mobile"]' });
+  addPosted(db, { guid: 'g-link', link: 'https://src.example.com/b', lang: 'en', title: 'By link' });
+  addPosted(db, { guid: 'g-gone', lang: 'en', title: 'Gone', blogger_post_id: 'p9' });
+  addPosted(db, { guid: 'g-other-blog', lang: 'ur', title: 'Other blog', blogger_post_id: 'p8' });
+
+  const blogger = stubBlogger([
+    [
+      { id: 'p1', status: 'LIVE', title: 'Known, renamed', url: 'https://blog.example.com/known.html', labels: ['Mobile'], content: '<p>Known</p>' },
+      { id: 'p2', status: 'SCHEDULED', title: 'By link', url: 'https://blog.example.com/b.html', content: footer('https://src.example.com/b') }
+    ],
+    [
+      { id: 'p3', status: 'DRAFT', title: 'Written by hand', url: null, published: '2025-03-02T09:00:00Z', content: footer('https://src.example.com/c?a=1&amp;b=2') }
+    ]
+  ]);
+
+  const counts = await syncBlog(db, blogger, { blogId: 'blog-en', codes: ['en'] });
+
+  assert.deepEqual(counts, { seen: 3, imported: 1, updated: 2, deleted: 1 });
+  assert.deepEqual(blogger.calls.map(c => c.pageToken), [undefined, '1']);
+  assert.ok(blogger.calls.every(c => c.method === 'list' && c.blogId === 'blog-en'));
+
+  const known = postedRow(db, 'g-known');
+  assert.equal(known.post_title, 'Known, renamed');
+  assert.equal(known.blogger_url, 'https://blog.example.com/known.html');
+
+  const byLink = postedRow(db, 'g-link');
+  assert.equal(byLink.blogger_post_id, 'p2');
+  assert.equal(byLink.status, 'scheduled');
+
+  const imported = postedRow(db, 'https://src.example.com/c?a=1&b=2');
+  assert.equal(imported.blogger_post_id, 'p3');
+  assert.equal(imported.status, 'unpublished');
+  assert.equal(imported.published_at, '2025-03-02T09:00:00Z');
+
+  assert.equal(postedRow(db, 'g-gone').status, 'deleted');
+  assert.equal(postedRow(db, 'g-other-blog', 'ur').status, 'published');
+});
+
+test('sync --dry-run counts without writing', async () => {
+  const db = openDb();
+  addPosted(db, { guid: 'g-gone', lang: 'en', blogger_post_id: 'p9' });
+  const blogger = stubBlogger([[{ id: 'p3', status: 'LIVE', title: 'New', content: '<p>x</p>' }]]);
+
+  const counts = await syncBlog(db, blogger, { blogId: 'blog-en', codes: ['en'], dryRun: true });
+
+  assert.deepEqual(counts, { seen: 1, imported: 1, updated: 0, deleted: 1 });
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM posted').get().n, 1);
+  assert.equal(postedRow(db, 'g-gone').status, 'published');
+});
+
+test('sync reads the language of RTL posts on a shared blog', async () => {
+  const db = openDb();
+  const blogger = stubBlogger([[
+    { id: 'p1', status: 'LIVE', title: 'English', content: footer('https://src.example.com/1') },
+    { id: 'p2', status: 'LIVE', title: 'Urdu', content: `<div dir="rtl" lang="ur">${footer('https://src.example.com/1')}</div>` }
+  ]]);
+
+  await syncBlog(db, blogger, { blogId: 'shared', codes: ['en', 'ur'] });
+
+  assert.equal(postedRow(db, 'https://src.example.com/1', 'en').blogger_post_id, 'p1');
+  assert.equal(postedRow(db, 'https://src.example.com/1', 'ur').blogger_post_id, 'p2');
+});
+
+test('update queues a refresh that patches the existing Blogger post', async () => {
+  const db = openDb();
+  const jobs = createJobStore(db);
+  addPosted(db, { guid: 'g1', link: 'https://src.example.com/1', lang: 'en', title: 'One', blogger_post_id: 'p1', post_title: 'One' });
+  addPosted(db, { guid: 'g1', link: 'https://src.example.com/1', lang: 'ur', title: 'One', blogger_post_id: 'p1-ur' });
+
+  await runUpdateCommand(db, jobs, ['g1'], { lang: 'en' }, { fetchSourceText: async () => assert.fail('not needed') });
+
+  const job = jobs.find('g1', 'en');
+  assert.equal(job.stage, 'new');
+  assert.equal(job.status, 'pending');
+  assert.deepEqual(job.data, { refresh: { postId: 'p1' } });
+  assert.equal(jobs.find('g1', 'ur'), undefined);
+
+  // What the pipeline does with the refresh at the publish stage
+  const blogger = stubBlogger();
+  const publisher = createPublisher({ targets: { blogger: { type: 'blogger' } }, disabled: [], routes: [], default: ['blogger'] }, db, { blogger });
+  const post = { title: 'One, updated', html: '<p>new</p>', labels: ['Mobile'], blogId: 'blog-en' };
+  const [result] = await publisher.publish({ guid: 'g1', lang: 'en', names: ['blogger'], post, updateExisting: true, bloggerPostId: job.data.refresh.postId });
+
+  assert.deepEqual(blogger.calls.map(c => c.method), ['patch']);
+  assert.equal(blogger.calls[0].postId, 'p1');
+  assert.equal(blogger.calls[0].blogId, 'blog-en');
+  assert.equal(blogger.calls[0].requestBody.title, 'One, updated');
+  assert.equal(result.id, 'p1');
+  assert.equal(publisher.results('g1', 'en')[0].status, 'published');
+});
+
+test('update of an unknown guid fails', async () => {
+  const db = openDb();
+  await assert.rejects(
+    runUpdateCommand(db, createJobStore(db), ['nope'], {}, { fetchSourceText: async () => '' }),
+    /No published post recorded for nope/
+  );
+});
+
+test('update --changed queues only posts whose source text changed', async () => {
+  const db = openDb();
+  const jobs = createJobStore(db);
+  const recent = db.prepare("SELECT datetime('now', '-1 day') AS t").get().t;
+  addPosted(db, { guid: 'same', link: 'https://src.example.com/same', lang: 'en', posted_at: recent, blogger_post_id: 'p1', source_hash: sourceHash('same text') });
+  addPosted(db, { guid: 'edited', link: 'https://src.example.com/edited', lang: 'en', posted_at: recent, blogger_post_id: 'p2', source_hash: sourceHash('old text') });
+  addPosted(db, { guid: 'baseline', link: 'https://src.example.com/baseline', lang: 'en', posted_at: recent, blogger_post_id: 'p3' });
+  const texts = { same: 'same   text', edited: 'new text', baseline: 'first look' };
+
+  await runUpdateCommand(db, jobs, [], { changed: true, days: '7' }, { fetchSourceText: async link => texts[link.split('/').pop()] });
+
+  assert.deepEqual(jobs.list().map(job => job.guid), ['edited']);
+  assert.deepEqual(jobs.find('edited', 'en').data, { refresh: { postId: 'p2' } });
+  assert.equal(postedRow(db, 'baseline').source_hash, sourceHash('first look'));
+});
+
+function cleanupDb() {
+  const db = openDb();
+  addPosted(db, { guid: 'old', lang: 'en', posted_at: '2024-06-01 10:00:00', blogger_post_id: 'p-old', labels: '["Deals"]' });
+  addPosted(db, { guid: 'new', lang: 'en', posted_at: '2025-06-01 10:00:00', blogger_post_id: 'p-new', labels: '["Mobile"]' });
+  addPosted(db, { guid: 'new', lang: 'ur', posted_at: '2025-06-01 10:00:00', blogger_post_id: 'p-new-ur', labels: '["Mobile"]' });
+  addPosted(db, { guid: 'draft', lang: 'en', posted_at: '2024-01-01 10:00:00', status: 'unpublished', blogger_post_id: 'p-draft', labels: '["Deals"]' });
+  return db;
+}
+const languages = [{ code: 'en', blogId: 'blog-en' }, { code: 'ur', blogId: 'blog-ur' }];
+
+test('cleanup unpublishes the posts of a guid on every language blog', async () => {
+  const db = cleanupDb();
+  const blogger = stubBlogger();
+
+  await runCleanupCommand(db, blogger, { guid: 'new' }, { languages });
+
+  assert.deepEqual(blogger.calls.map(c => [c.method, c.blogId, c.postId]), [['revert', 'blog-en', 'p-new'], ['revert', 'blog-ur', 'p-new-ur']]);
+  assert.equal(postedRow(db, 'new', 'en').status, 'unpublished');
+  assert.equal(postedRow(db, 'new', 'ur').status, 'unpublished');
+  assert.equal(postedRow(db, 'old').status, 'published');
+});
+
+test('cleanup by label matches case-insensitively and skips drafts unless deleting', async () => {
+  const db = cleanupDb();
+  const blogger = stubBlogger();
+
+  await runCleanupCommand(db, blogger, { label: 'deals' }, { languages });
+  assert.deepEqual(blogger.calls.map(c => [c.method, c.postId]), [['revert', 'p-old']]);
+
+  await runCleanupCommand(db, blogger, { label: 'Deals', delete: true }, { languages });
+  assert.deepEqual(blogger.calls.slice(1).map(c => [c.method, c.postId]), [['delete', 'p-old'], ['delete', 'p-draft']]);
+  assert.equal(postedRow(db, 'old').status, 'deleted');
+  assert.equal(postedRow(db, 'draft').status, 'deleted');
+});
+
+test('cleanup by date and language, and --dry-run leaves everything alone', async () => {
+  const db = cleanupDb();
+  const blogger = stubBlogger();
+
+  await runCleanupCommand(db, blogger, { before: '2025-01-01', delete: true, 'dry-run': true }, { languages });
+  assert.deepEqual(blogger.calls, []);
+  assert.equal(postedRow(db, 'old').status, 'published');
+
+  await runCleanupCommand(db, blogger, { before: '2026-01-01', lang: 'ur' }, { languages });
+  assert.deepEqual(blogger.calls.map(c => c.postId), ['p-new-ur']);
+  assert.equal(postedRow(db, 'new', 'en').status, 'published');
+});
+
+test('cleanup needs at least one filter', async () => {
+  await assert.rejects(runCleanupCommand(openDb(), stubBlogger(), { lang: 'en' }, { languages }), /Usage: cleanup/);
+});